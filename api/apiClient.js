@@ -3,12 +3,25 @@ import cacheManager from './cacheManager.js';
 
 const API_TIMEOUT = parseInt(process.env.EXTERNAL_API_TIMEOUT) || 30000;
 const API_RATE_LIMIT = parseInt(process.env.EXTERNAL_API_RATE_LIMIT) || 100;
+const CACHE_REFRESH_INTERVAL = parseInt(process.env.CACHE_REFRESH_INTERVAL) || 300; // seconds
+const CACHE_REFRESH_MAX_KEYS = parseInt(process.env.CACHE_REFRESH_MAX_KEYS) || 50;
+
+// Cache entries are tagged with the upstream host, without "www."
+const sourceOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return 'api';
+  }
+};
 
 class ApiClient {
   constructor() {
     this.requestCount = 0;
     this.windowStart = Date.now();
     this.windowSize = 60000; // 1 minute window
+    this.inFlight = new Map(); // cache key -> pending upstream request
+    this.requestStats = { upstream: 0, coalesced: 0 };
     
     // Create axios instance with default config
     this.client = axios.create({
@@ -55,38 +68,137 @@ class ApiClient {
     this.requestCount++;
   }
 
+  remainingRequests() {
+    if (Date.now() - this.windowStart > this.windowSize) {
+      return API_RATE_LIMIT;
+    }
+    return API_RATE_LIMIT - this.requestCount;
+  }
+
+  // Tags for a cached response: `options.tags` ({ dataset, area }) plus the source
+  tagsFor(url, options) {
+    return { source: sourceOf(url), ...options.tags };
+  }
+
   async fetchWithCache(url, options = {}) {
     const cacheKey = cacheManager.generateKey(url, options.params);
+    const { source } = this.tagsFor(url, options);
     
     // Check cache first
-    const cachedData = cacheManager.get(cacheKey);
-    if (cachedData && !options.forceRefresh) {
-      console.log(`Cache hit for: ${cacheKey}`);
-      return cachedData;
+    const cached = cacheManager.lookup(cacheKey);
+    if (cached && !options.forceRefresh) {
+      if (!cached.stale) {
+        console.log(`Cache hit for: ${cacheKey}`);
+        cacheManager.recordRead(source, 'hit');
+        return cached.data;
+      }
+      
+      // Stale-while-revalidate: answer now, refresh for the next caller
+      if (options.allowStale) {
+        console.log(`Serving stale cache data for: ${cacheKey}, refreshing in background`);
+        cacheManager.recordRead(source, 'stale');
+        this.revalidate(cacheKey, url, options);
+        return cached.data;
+      }
+    }
+    
+    if (!options.forceRefresh) {
+      cacheManager.recordRead(source, 'miss');
     }
     
     try {
-      console.log(`Making API request to: ${url}`);
-      const response = await this.client.get(url, options);
-      
-      // Cache the response
-      const ttl = options.cacheTTL || 3600; // 1 hour default
-      cacheManager.set(cacheKey, response.data, ttl);
-      
-      return response.data;
+      return await this.fetchAndCache(cacheKey, url, options);
     } catch (error) {
       // If API fails, try to return stale cache data
-      if (cachedData && options.allowStale) {
+      if (cached && options.allowStale) {
         console.log(`API failed, returning stale cache data for: ${cacheKey}`);
-        return cachedData;
+        return cached.data;
       }
       
       throw error;
     }
   }
 
+  // Single flight: concurrent callers for the same cache key share one
+  // upstream request instead of each spending the rate limit
+  fetchAndCache(cacheKey, url, options) {
+    if (this.inFlight.has(cacheKey)) {
+      this.requestStats.coalesced++;
+      return this.inFlight.get(cacheKey);
+    }
+    
+    this.requestStats.upstream++;
+    const request = this.requestAndCache(cacheKey, url, options)
+      .finally(() => this.inFlight.delete(cacheKey));
+    this.inFlight.set(cacheKey, request);
+    
+    return request;
+  }
+
+  async requestAndCache(cacheKey, url, options) {
+    console.log(`Making API request to: ${url}`);
+    const response = await this.client.get(url, options);
+    
+    // Cache the response, with the request so the scheduler can refresh it
+    const ttl = options.cacheTTL || 3600; // 1 hour default
+    cacheManager.set(cacheKey, response.data, ttl, {
+      request: { url, params: options.params || {} },
+      tags: this.tagsFor(url, options)
+    });
+    
+    return response.data;
+  }
+
+  // Refresh an entry in the background. Resolves to whether it succeeded; on
+  // failure the stale data stays in the cache.
+  revalidate(cacheKey, url, options) {
+    return this.fetchAndCache(cacheKey, url, options)
+      .then(() => true)
+      .catch((error) => {
+        console.error(`Background refresh failed for ${cacheKey}:`, error.message);
+        return false;
+      });
+  }
+
+  // Re-warm the most read entries that are stale or will be before the next
+  // run, leaving at least half of the rate limit window for live requests
+  async refreshHotKeys() {
+    const interval = CACHE_REFRESH_INTERVAL * 1000;
+    const candidates = cacheManager.getRefreshCandidates({
+      window: interval,
+      horizon: interval,
+      limit: CACHE_REFRESH_MAX_KEYS
+    });
+    
+    let refreshed = 0;
+    for (const { key, url, params, ttl, tags } of candidates) {
+      if (this.remainingRequests() <= API_RATE_LIMIT / 2) {
+        break;
+      }
+      if (await this.revalidate(key, url, { params, cacheTTL: ttl, tags })) {
+        refreshed++;
+      }
+    }
+    
+    return refreshed;
+  }
+
+  startRefreshScheduler() {
+    const timer = setInterval(() => {
+      this.refreshHotKeys()
+        .then(refreshed => {
+          if (refreshed > 0) {
+            console.log(`Refreshed ${refreshed} hot cache entries`);
+          }
+        })
+        .catch(error => console.error('Cache refresh error:', error));
+    }, CACHE_REFRESH_INTERVAL * 1000);
+    timer.unref();
+    return timer;
+  }
+
   // UK Police API - Crime Data
-  async fetchCrimeData(params = {}) {
+  async fetchCrimeData(params = {}, options = {}) {
     const baseUrl = 'https://data.police.uk/api';
     const { lat, lng, date, category } = params;
     
@@ -105,12 +217,14 @@ class ApiClient {
     return await this.fetchWithCache(url, {
       params: queryParams,
       cacheTTL: 3600, // 1 hour
-      allowStale: true
+      allowStale: true,
+      tags: { dataset: 'street-crime', area: lat && lng ? `${lat},${lng}` : null },
+      ...options
     });
   }
 
   // Planning Data API
-  async fetchPlanningData(params = {}) {
+  async fetchPlanningData(params = {}, options = {}) {
     const baseUrl = 'https://www.planning.data.gov.uk/entity';
     const { geometry, categories, start_date, end_date } = params;
     
@@ -135,12 +249,14 @@ class ApiClient {
     return await this.fetchWithCache(baseUrl, {
       params: queryParams,
       cacheTTL: 1800, // 30 minutes
-      allowStale: true
+      allowStale: true,
+      tags: { dataset: categories || 'entity', area: geometry || null },
+      ...options
     });
   }
 
   // Council Spending API
-  async fetchCouncilSpending(params = {}) {
+  async fetchCouncilSpending(params = {}, options = {}) {
     const baseUrl = 'https://opendata.bristol.gov.uk/api/records/1.0/search/';
     const { dataset, q, rows = 20, start = 0 } = params;
     
@@ -154,18 +270,22 @@ class ApiClient {
     return await this.fetchWithCache(baseUrl, {
       params: queryParams,
       cacheTTL: 3600, // 1 hour
-      allowStale: true
+      allowStale: true,
+      tags: { dataset: queryParams.dataset, area: 'bristol' },
+      ...options
     });
   }
 
   // Postcode lookup
-  async fetchPostcodeData(postcode) {
+  async fetchPostcodeData(postcode, options = {}) {
     const baseUrl = 'https://api.postcodes.io/postcodes';
     const cleanPostcode = postcode.replace(/\s+/g, '');
     
     return await this.fetchWithCache(`${baseUrl}/${cleanPostcode}`, {
       cacheTTL: 86400, // 24 hours (postcodes don't change often)
-      allowStale: true
+      allowStale: true,
+      tags: { dataset: 'postcodes', area: cleanPostcode.toUpperCase() },
+      ...options
     });
   }
 
@@ -183,6 +303,19 @@ class ApiClient {
     return cacheManager.getStats();
   }
 
+  // How many fetches went upstream and how many joined one already in flight
+  getRequestStats() {
+    const { upstream, coalesced } = this.requestStats;
+    const total = upstream + coalesced;
+    
+    return {
+      upstreamRequests: upstream,
+      coalescedRequests: coalesced,
+      coalescedRate: total > 0 ? coalesced / total : 0,
+      inFlight: this.inFlight.size
+    };
+  }
+
   // Clear cache
   clearCache() {
     cacheManager.clear();
@@ -200,4 +333,8 @@ class ApiClient {
   }
 }
 
-export default new ApiClient();
\ No newline at end of file
+const apiClient = new ApiClient();
+
+export const startCacheRefreshScheduler = () => apiClient.startRefreshScheduler();
+
+export default apiClient;
\ No newline at end of file
@@ -1,40 +1,151 @@
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { getCollection } from '../storage/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const CACHE_FILE = join(__dirname, '../data/api-cache.json');
 const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 3600; // 1 hour default
+const CACHE_STALE_TTL = parseInt(process.env.CACHE_STALE_TTL) || 86400; // stale data may be served for a day
 const CACHE_MAX_SIZE = parseInt(process.env.CACHE_MAX_SIZE) || 1000;
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024; // 50 MB of cached JSON
+const CACHE_FLUSH_DELAY = parseInt(process.env.CACHE_FLUSH_DELAY_MS) || 1000;
+const CACHE_FLUSH_MAX_WAIT = 5000; // flush at least this often under constant writes
+const EXPIRED_SWEEP_INTERVAL = 60 * 1000;
+
+// Match a key against a pattern where `*` stands for any run of characters.
+// The text between wildcards is found left to right with indexOf, so the cost
+// stays proportional to the key length times the number of wildcards; a RegExp
+// of `.*` groups backtracks exponentially on keys that almost match.
+const matchesPattern = (key, pattern) => {
+  const [first, ...rest] = pattern.split('*');
+  if (rest.length === 0) {
+    return key === first;
+  }
+  
+  const last = rest.pop();
+  const end = key.length - last.length;
+  if (end < first.length || !key.startsWith(first) || !key.endsWith(last)) {
+    return false;
+  }
+  
+  let offset = first.length;
+  for (const segment of rest) {
+    const index = key.indexOf(segment, offset);
+    if (index === -1 || index + segment.length > end) {
+      return false;
+    }
+    offset = index + segment.length;
+  }
+  
+  return true;
+};
 
+// The in-memory map is the source of truth. Changes are written to storage in
+// batches: a flush runs CACHE_FLUSH_DELAY_MS after the last change (at most
+// CACHE_FLUSH_MAX_WAIT after the first), and once more when the process exits.
+// The map is kept in least-recently-used order, so eviction takes from the front.
+//
+// Each entry is fresh for `ttl` seconds (until `staleAt`), then stale for
+// CACHE_STALE_TTL more (until `expiresAt`). Stale entries can still be read
+// through lookup() while they are refreshed; expired entries are removed.
+//
+// Entries are tagged with the `source` (upstream host), `dataset` and `area`
+// they hold, so they can be listed and purged in groups.
 class CacheManager {
-  constructor() {
+  constructor({ store = getCollection('apiCache'), maxEntries = CACHE_MAX_SIZE, maxBytes = CACHE_MAX_BYTES, flushDelay = CACHE_FLUSH_DELAY } = {}) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.flushDelay = flushDelay;
+    
+    this.sizes = new Map();
+    this.totalBytes = 0;
+    this.dirtyKeys = new Set();
+    this.deletedKeys = new Set();
+    this.flushTimer = null;
+    this.firstPendingAt = null;
+    this.lastSweepAt = 0;
+    this.sourceStats = new Map(); // source -> { hits, staleHits, misses } since startup
+    
     this.cache = this.loadCache();
+    process.once('exit', () => this.flush());
   }
 
   loadCache() {
-    if (!existsSync(CACHE_FILE)) {
-      writeFileSync(CACHE_FILE, JSON.stringify({}, null, 2));
-      return {};
-    }
+    const cache = new Map();
     
     try {
-      const data = readFileSync(CACHE_FILE, 'utf8');
-      return JSON.parse(data);
+      this.store.entries()
+        .sort((a, b) => (a[1].lastAccessed || 0) - (b[1].lastAccessed || 0))
+        .forEach(([key, item]) => {
+          cache.set(key, item);
+          this.trackSize(key, item.data);
+        });
     } catch (error) {
       console.error('Error loading cache:', error);
-      return {};
     }
+    
+    return cache;
+  }
+
+  trackSize(key, data) {
+    const size = Buffer.byteLength(JSON.stringify(data) || '');
+    this.totalBytes += size - (this.sizes.get(key) || 0);
+    this.sizes.set(key, size);
+    return size;
+  }
+
+  untrackSize(key) {
+    this.totalBytes -= this.sizes.get(key) || 0;
+    this.sizes.delete(key);
+  }
+
+  markDirty(key) {
+    this.deletedKeys.delete(key);
+    this.dirtyKeys.add(key);
+    this.scheduleFlush();
+  }
+
+  markDeleted(key) {
+    this.dirtyKeys.delete(key);
+    this.deletedKeys.add(key);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    const now = Date.now();
+    if (this.firstPendingAt === null) {
+      this.firstPendingAt = now;
+    }
+    
+    clearTimeout(this.flushTimer);
+    const delay = Math.max(0, Math.min(this.flushDelay, this.firstPendingAt + CACHE_FLUSH_MAX_WAIT - now));
+    this.flushTimer = setTimeout(() => this.flush(), delay);
+    this.flushTimer.unref();
   }
 
-  saveCache() {
+  // Write pending changes to storage. Failed writes stay pending for the next flush.
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    
+    if (this.dirtyKeys.size === 0 && this.deletedKeys.size === 0) {
+      this.firstPendingAt = null;
+      return;
+    }
+    
+    const dirtyKeys = [...this.dirtyKeys].filter(key => this.cache.has(key));
+    const deletedKeys = [...this.deletedKeys];
+    
     try {
-      writeFileSync(CACHE_FILE, JSON.stringify(this.cache, null, 2));
+      if (dirtyKeys.length > 0) {
+        this.store.setMany(dirtyKeys.map(key => [key, this.cache.get(key)]));
+      }
+      if (deletedKeys.length > 0) {
+        this.store.deleteMany(deletedKeys);
+      }
+      this.dirtyKeys.clear();
+      this.deletedKeys.clear();
+      this.firstPendingAt = null;
     } catch (error) {
       console.error('Error saving cache:', error);
+      this.scheduleFlush();
     }
   }
 
@@ -47,70 +158,222 @@ class CacheManager {
     return `${url}${sortedParams ? '?' + sortedParams : ''}`;
   }
 
-  isExpired(timestamp, ttl = CACHE_TTL) {
-    return Date.now() - timestamp > ttl * 1000;
+  isStale(item, now = Date.now()) {
+    return now >= item.staleAt;
   }
 
-  get(key) {
-    const item = this.cache[key];
+  isExpired(item, now = Date.now()) {
+    return now >= item.expiresAt;
+  }
+
+  remove(key) {
+    if (this.cache.delete(key)) {
+      this.untrackSize(key);
+      this.markDeleted(key);
+    }
+  }
+
+  // Returns { data, stale } for a fresh or stale entry, null if missing or expired
+  lookup(key) {
+    const item = this.cache.get(key);
     
     if (!item) {
       return null;
     }
     
-    if (this.isExpired(item.timestamp, item.ttl)) {
-      delete this.cache[key];
-      this.saveCache();
+    if (this.isExpired(item)) {
+      this.remove(key);
       return null;
     }
     
-    // Update last accessed time
+    // Count the read and move to the most recently used end
     item.lastAccessed = Date.now();
-    this.saveCache();
+    item.hits = (item.hits || 0) + 1;
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    this.markDirty(key);
     
-    return item.data;
+    return { data: item.data, stale: this.isStale(item) };
   }
 
-  set(key, data, ttl = CACHE_TTL) {
-    // Remove expired items and enforce size limit
-    this.cleanup();
+  // Fresh data only; stale entries are kept for lookup()
+  get(key) {
+    const entry = this.lookup(key);
+    return entry && !entry.stale ? entry.data : null;
+  }
+
+  // `request` ({ url, params }) lets the refresh scheduler re-fetch the entry;
+  // both it and `tags` carry over when an entry is refreshed without them
+  set(key, data, ttl = CACHE_TTL, { staleTtl = CACHE_STALE_TTL, request = null, tags = null } = {}) {
+    const previous = this.cache.get(key);
+    this.cache.delete(key);
+    const size = this.trackSize(key, data);
+    
+    // Never let one response push everything else out
+    if (size > this.maxBytes) {
+      console.warn(`Not caching ${key}: ${size} bytes exceeds CACHE_MAX_BYTES`);
+      this.untrackSize(key);
+      this.markDeleted(key);
+      return;
+    }
     
-    this.cache[key] = {
+    const now = Date.now();
+    this.cache.set(key, {
       data,
-      timestamp: Date.now(),
-      lastAccessed: Date.now(),
+      timestamp: now,
+      lastAccessed: previous ? previous.lastAccessed : now,
       ttl,
-      source: 'api'
-    };
+      staleAt: now + ttl * 1000,
+      expiresAt: now + (ttl + staleTtl) * 1000,
+      hits: 0, // reads since this fetch
+      request: request || (previous ? previous.request : null),
+      tags: this.normaliseTags(tags || (previous ? previous.tags : null))
+    });
+    this.markDirty(key);
     
-    this.saveCache();
+    // Remove expired items and enforce size limits
+    this.cleanup();
   }
 
   cleanup() {
     const now = Date.now();
-    const entries = Object.entries(this.cache);
     
-    // Remove expired items
-    entries.forEach(([key, item]) => {
-      if (this.isExpired(item.timestamp, item.ttl)) {
-        delete this.cache[key];
+    // Remove expired items, at most once a minute
+    if (now - this.lastSweepAt > EXPIRED_SWEEP_INTERVAL) {
+      this.lastSweepAt = now;
+      for (const [key, item] of this.cache) {
+        if (this.isExpired(item, now)) {
+          this.remove(key);
+        }
       }
-    });
+    }
     
-    // Enforce size limit (LRU eviction)
-    const remainingEntries = Object.entries(this.cache);
-    if (remainingEntries.length > CACHE_MAX_SIZE) {
-      // Sort by last accessed (oldest first)
-      remainingEntries.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
-      
-      // Remove oldest items
-      const itemsToRemove = remainingEntries.length - CACHE_MAX_SIZE;
-      for (let i = 0; i < itemsToRemove; i++) {
-        delete this.cache[remainingEntries[i][0]];
-      }
+    // Enforce entry and byte limits (LRU eviction)
+    while (this.cache.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      this.remove(this.cache.keys().next().value);
+    }
+  }
+
+  // Entries read within `window` ms that are stale or go stale within `horizon`
+  // ms, most read first. Only entries that know their request qualify.
+  getRefreshCandidates({ window, horizon, limit }) {
+    const now = Date.now();
+    
+    return [...this.cache.entries()]
+      .filter(([, item]) => item.request && item.hits > 0 && now - item.lastAccessed <= window)
+      .filter(([, item]) => item.staleAt - now <= horizon && !this.isExpired(item, now))
+      .sort((a, b) => b[1].hits - a[1].hits)
+      .slice(0, limit)
+      .map(([key, item]) => ({ key, url: item.request.url, params: item.request.params, ttl: item.ttl, tags: item.tags }));
+  }
+
+  normaliseTags(tags) {
+    return {
+      source: (tags && tags.source) || 'api',
+      dataset: (tags && tags.dataset) || null,
+      area: (tags && tags.area) != null ? String(tags.area) : null
+    };
+  }
+
+  // Whether an entry matches every given tag, and the key `pattern` if given
+  // (`*` matches anything, e.g. "https://data.police.uk/*")
+  matches(key, item, { source, dataset, area, pattern } = {}) {
+    const tags = item.tags || {};
+    
+    if (source && tags.source !== source) return false;
+    if (dataset && tags.dataset !== dataset) return false;
+    if (area && tags.area !== String(area)) return false;
+    
+    if (pattern) {
+      return matchesPattern(key, pattern);
     }
     
-    this.saveCache();
+    return true;
+  }
+
+  // Metadata for one entry, without counting as a read
+  describe(key, item, now = Date.now()) {
+    return {
+      key,
+      tags: item.tags,
+      size: this.sizes.get(key) || 0,
+      ttl: item.ttl,
+      timestamp: item.timestamp,
+      lastAccessed: item.lastAccessed,
+      staleAt: item.staleAt,
+      expiresAt: item.expiresAt,
+      stale: this.isStale(item, now),
+      hits: item.hits || 0
+    };
+  }
+
+  // Entries matching `filter` (see matches()), most recently used first
+  list(filter = {}) {
+    const now = Date.now();
+    
+    return [...this.cache.entries()]
+      .reverse()
+      .filter(([key, item]) => !this.isExpired(item, now) && this.matches(key, item, filter))
+      .map(([key, item]) => this.describe(key, item, now));
+  }
+
+  // One entry with its data, without counting as a read
+  inspect(key) {
+    const item = this.cache.get(key);
+    if (!item || this.isExpired(item)) {
+      return null;
+    }
+    
+    return { ...this.describe(key, item), request: item.request, data: item.data };
+  }
+
+  // Remove every entry matching `filter`; returns the removed keys
+  purge(filter = {}) {
+    const keys = [...this.cache.entries()]
+      .filter(([key, item]) => this.matches(key, item, filter))
+      .map(([key]) => key);
+    
+    keys.forEach(key => this.remove(key));
+    return keys;
+  }
+
+  // Count a cache read for a source: 'hit', 'stale' or 'miss'
+  recordRead(source, result) {
+    if (!this.sourceStats.has(source)) {
+      this.sourceStats.set(source, { hits: 0, staleHits: 0, misses: 0 });
+    }
+    
+    const stats = this.sourceStats.get(source);
+    if (result === 'hit') stats.hits++;
+    else if (result === 'stale') stats.staleHits++;
+    else stats.misses++;
+  }
+
+  // Reads and hit rate since startup, plus current entries and bytes, per source
+  getSourceStats() {
+    const sources = {};
+    const forSource = (source) => {
+      if (!sources[source]) {
+        const reads = this.sourceStats.get(source) || { hits: 0, staleHits: 0, misses: 0 };
+        const total = reads.hits + reads.staleHits + reads.misses;
+        sources[source] = {
+          ...reads,
+          hitRate: total > 0 ? (reads.hits + reads.staleHits) / total : null,
+          entries: 0,
+          bytes: 0
+        };
+      }
+      return sources[source];
+    };
+    
+    this.sourceStats.forEach((reads, source) => forSource(source));
+    this.cache.forEach((item, key) => {
+      const stats = forSource((item.tags || {}).source || 'api');
+      stats.entries++;
+      stats.bytes += this.sizes.get(key) || 0;
+    });
+    
+    return sources;
   }
 
   has(key) {
@@ -118,27 +381,41 @@ class CacheManager {
   }
 
   delete(key) {
-    delete this.cache[key];
-    this.saveCache();
+    this.remove(key);
   }
 
   clear() {
-    this.cache = {};
-    this.saveCache();
+    clearTimeout(this.flushTimer);
+    this.cache.clear();
+    this.sizes.clear();
+    this.totalBytes = 0;
+    this.dirtyKeys.clear();
+    this.deletedKeys.clear();
+    this.firstPendingAt = null;
+    
+    try {
+      this.store.clear();
+    } catch (error) {
+      console.error('Error saving cache:', error);
+    }
   }
 
   getStats() {
-    const entries = Object.entries(this.cache);
+    const items = [...this.cache.values()];
     const now = Date.now();
     
     return {
-      totalItems: entries.length,
-      expiredItems: entries.filter(([key, item]) => this.isExpired(item.timestamp, item.ttl)).length,
-      oldestItem: entries.length > 0 ? Math.min(...entries.map(([key, item]) => item.timestamp)) : null,
-      newestItem: entries.length > 0 ? Math.max(...entries.map(([key, item]) => item.timestamp)) : null,
-      cacheSize: JSON.stringify(this.cache).length,
-      maxSize: CACHE_MAX_SIZE,
-      defaultTTL: CACHE_TTL
+      totalItems: items.length,
+      staleItems: items.filter(item => this.isStale(item, now) && !this.isExpired(item, now)).length,
+      expiredItems: items.filter(item => this.isExpired(item, now)).length,
+      oldestItem: items.length > 0 ? Math.min(...items.map(item => item.timestamp)) : null,
+      newestItem: items.length > 0 ? Math.max(...items.map(item => item.timestamp)) : null,
+      cacheSize: this.totalBytes,
+      maxSize: this.maxEntries,
+      maxBytes: this.maxBytes,
+      pendingWrites: this.dirtyKeys.size + this.deletedKeys.size,
+      defaultTTL: CACHE_TTL,
+      staleTTL: CACHE_STALE_TTL
     };
   }
 
@@ -146,13 +423,14 @@ class CacheManager {
   getAllData() {
     const allData = [];
     
-    Object.entries(this.cache).forEach(([key, item]) => {
-      if (!this.isExpired(item.timestamp, item.ttl)) {
+    this.cache.forEach((item, key) => {
+      if (!this.isExpired(item)) {
         allData.push({
           cacheKey: key,
           data: item.data,
           timestamp: item.timestamp,
-          source: item.source
+          source: item.tags.source,
+          tags: item.tags
         });
       }
     });
@@ -173,4 +451,6 @@ class CacheManager {
   }
 }
 
+export { CacheManager };
+
 export default new CacheManager();
\ No newline at end of file
@@ -0,0 +1,143 @@
+const {
+  listUsers,
+  findUserById,
+  updateUser,
+  deleteUserRecords,
+  findVerificationTokensByUserId,
+  findSessionsByUserId,
+  revokeAllSessions
+} = require('./auth.js');
+const { findApiKeysByUserId, revokeAllApiKeys, deleteApiKeysForUser } = require('./apiKeys.js');
+const { findOrganisationById, getMemberRole, detachUser } = require('./organisations.js');
+const { findUsageEventsByUserId, deleteUsageEventsForUser } = require('./usage.js');
+const { findAuditEventsByUserId, redactAuditEventsForUser } = require('./auditLog.js');
+
+// Subject-access export and right-to-erasure handling (UK GDPR)
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const EXPORT_FORMAT_VERSION = 1;
+
+const isPendingDeletion = (user) => Boolean(user && user.deletionScheduledFor);
+
+// Everything held about a user, in a machine-readable structure.
+// Secrets (password hash, token values, 2FA secrets) are described, not disclosed.
+const exportUserData = (userId) => {
+  const user = findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const { password, twoFactor, savedItems, ...profile } = user;
+  const organisation = user.organisationId ? findOrganisationById(user.organisationId) : null;
+
+  return {
+    format: 'opengovdatahub-account-export',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: {
+      ...profile,
+      hasPassword: Boolean(password),
+      twoFactor: {
+        enabled: Boolean(twoFactor && twoFactor.enabled),
+        enabledAt: (twoFactor && twoFactor.enabledAt) || null,
+        remainingRecoveryCodes: (twoFactor && twoFactor.recoveryCodes) ? twoFactor.recoveryCodes.length : 0
+      }
+    },
+    usage: {
+      plan: user.plan,
+      searchesUsed: user.searchesUsed || 0,
+      searchLimit: user.searchLimit,
+      lastSearchAt: user.lastSearchAt || null,
+      history: findUsageEventsByUserId(userId)
+    },
+    organisation: organisation ? {
+      id: organisation.id,
+      name: organisation.name,
+      role: getMemberRole(organisation, userId)
+    } : null,
+    savedItems: savedItems || [],
+    verificationTokens: findVerificationTokensByUserId(userId)
+      .map(({ token, codeVerifier, nonce, ...metadata }) => metadata),
+    sessions: findSessionsByUserId(userId)
+      .map(({ refreshTokenHash, previousTokenHashes, ...session }) => session),
+    apiKeys: findApiKeysByUserId(userId),
+    securityEvents: findAuditEventsByUserId(userId, Infinity)
+  };
+};
+
+// Soft delete: the account is disabled immediately and purged after the grace period
+const scheduleAccountDeletion = (userId) => {
+  const user = findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (isPendingDeletion(user)) {
+    return user;
+  }
+
+  const now = Date.now();
+  const updatedUser = updateUser(userId, {
+    deletionRequestedAt: new Date(now).toISOString(),
+    deletionScheduledFor: new Date(now + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  revokeAllSessions(userId, 'account-deletion');
+  revokeAllApiKeys(userId);
+
+  return updatedUser;
+};
+
+const cancelAccountDeletion = (userId) => {
+  const user = findUserById(userId);
+  if (!user || !isPendingDeletion(user)) {
+    throw new Error('Account is not scheduled for deletion');
+  }
+
+  return updateUser(userId, { deletionRequestedAt: null, deletionScheduledFor: null });
+};
+
+// Hard delete from every data file
+const purgeUser = (userId) => {
+  detachUser(userId);
+  deleteApiKeysForUser(userId);
+  deleteUsageEventsForUser(userId);
+  redactAuditEventsForUser(userId);
+  deleteUserRecords(userId);
+};
+
+// Purge accounts whose grace period has ended; returns the number purged
+const purgeExpiredDeletions = () => {
+  const now = Date.now();
+  const expired = listUsers().filter(user => isPendingDeletion(user) && new Date(user.deletionScheduledFor).getTime() <= now);
+
+  expired.forEach(user => {
+    try {
+      purgeUser(user.id);
+      console.log(`Purged deleted account ${user.id}`);
+    } catch (error) {
+      console.error(`Error purging account ${user.id}:`, error);
+    }
+  });
+
+  return expired.length;
+};
+
+const startDeletionPurgeScheduler = () => {
+  purgeExpiredDeletions();
+  const timer = setInterval(purgeExpiredDeletions, PURGE_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  isPendingDeletion,
+  exportUserData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeUser,
+  purgeExpiredDeletions,
+  startDeletionPurgeScheduler
+};
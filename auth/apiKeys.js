@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { readFileSync, existsSync } = require('fs');
+const { join } = require('path');
+const { writeFileAtomic, withFileLock } = require('../storage/files.js');
+
+const API_KEYS_FILE = join(__dirname, '../data/api-keys.json');
+const API_KEY_PREFIX = 'ogd';
+const MAX_KEYS_PER_USER = 20;
+const LAST_USED_INTERVAL = 60 * 1000; // write last-used at most once a minute per key
+
+// Scopes an API key can be limited to
+const API_KEY_SCOPES = ['search:read', 'data:read', 'cache:refresh'];
+
+// Helper functions for file operations. Changes read and write the file
+// under its lock; lookups read it without one.
+const readApiKeys = () => {
+  if (!existsSync(API_KEYS_FILE)) {
+    return [];
+  }
+  try {
+    return JSON.parse(readFileSync(API_KEYS_FILE, 'utf8'));
+  } catch (error) {
+    console.error('Error reading API keys file:', error);
+    return [];
+  }
+};
+
+const writeApiKeys = (keys) => {
+  try {
+    writeFileAtomic(API_KEYS_FILE, JSON.stringify(keys, null, 2));
+  } catch (error) {
+    console.error('Error writing API keys file:', error);
+    throw new Error('Failed to save API key');
+  }
+};
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Strip the hash before handing a key record to callers
+const toPublicKey = ({ keyHash, ...key }) => key;
+
+const isApiKeyActive = (key) => {
+  return !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt).getTime() > Date.now());
+};
+
+// Create a new key. The plaintext key is only ever returned here.
+const createApiKey = (userId, { name, scopes, expiresAt = null }) => withFileLock(API_KEYS_FILE, () => {
+  const keys = readApiKeys();
+
+  const activeKeys = keys.filter(k => k.userId === userId && isApiKeyActive(k));
+  if (activeKeys.length >= MAX_KEYS_PER_USER) {
+    throw new Error(`A maximum of ${MAX_KEYS_PER_USER} active API keys is allowed`);
+  }
+
+  const grantedScopes = scopes && scopes.length > 0 ? [...new Set(scopes)] : [...API_KEY_SCOPES];
+  const invalidScopes = grantedScopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+  }
+
+  if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+    throw new Error('Expiry date must be in the future');
+  }
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const plaintextKey = `${API_KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const key = {
+    id: crypto.randomUUID(),
+    userId,
+    name,
+    prefix: `${API_KEY_PREFIX}_${prefix}`,
+    keyHash: hashApiKey(plaintextKey),
+    scopes: grantedScopes,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  keys.push(key);
+  writeApiKeys(keys);
+
+  return { key: plaintextKey, apiKey: toPublicKey(key) };
+});
+
+const listApiKeys = (userId) => {
+  return readApiKeys()
+    .filter(k => k.userId === userId && !k.revokedAt)
+    .map(toPublicKey);
+};
+
+const revokeApiKey = (userId, keyId) => withFileLock(API_KEYS_FILE, () => {
+  const keys = readApiKeys();
+  const key = keys.find(k => k.id === keyId && k.userId === userId && !k.revokedAt);
+
+  if (!key) {
+    throw new Error('API key not found');
+  }
+
+  key.revokedAt = new Date().toISOString();
+  writeApiKeys(keys);
+
+  return toPublicKey(key);
+});
+
+// Revoke every key a user holds (account suspension or deletion)
+const revokeAllApiKeys = (userId) => withFileLock(API_KEYS_FILE, () => {
+  const keys = readApiKeys();
+  const revokedAt = new Date().toISOString();
+  let count = 0;
+
+  keys.forEach(key => {
+    if (key.userId === userId && !key.revokedAt) {
+      key.revokedAt = revokedAt;
+      count++;
+    }
+  });
+
+  if (count > 0) {
+    writeApiKeys(keys);
+  }
+
+  return count;
+});
+
+// Including revoked keys, for data exports
+const findApiKeysByUserId = (userId) => {
+  return readApiKeys().filter(k => k.userId === userId).map(toPublicKey);
+};
+
+const deleteApiKeysForUser = (userId) => withFileLock(API_KEYS_FILE, () => {
+  writeApiKeys(readApiKeys().filter(k => k.userId !== userId));
+});
+
+// Re-read under the lock so a key revoked meanwhile is not written back
+const touchApiKey = (keyId, lastUsedAt) => withFileLock(API_KEYS_FILE, () => {
+  const keys = readApiKeys();
+  const key = keys.find(k => k.id === keyId);
+
+  if (key) {
+    key.lastUsedAt = lastUsedAt;
+    writeApiKeys(keys);
+  }
+});
+
+// Resolve a presented key and record its use; returns null if invalid
+const verifyApiKey = (plaintextKey) => {
+  if (!plaintextKey || !plaintextKey.startsWith(`${API_KEY_PREFIX}_`)) {
+    return null;
+  }
+
+  const keyHash = hashApiKey(plaintextKey);
+  const key = readApiKeys().find(k => k.keyHash === keyHash);
+
+  if (!key || !isApiKeyActive(key)) {
+    return null;
+  }
+
+  // Avoid rewriting the keys file on every request
+  const now = Date.now();
+  const lastUsed = key.lastUsedAt ? new Date(key.lastUsedAt).getTime() : 0;
+  if (now - lastUsed >= LAST_USED_INTERVAL) {
+    key.lastUsedAt = new Date(now).toISOString();
+    touchApiKey(key.id, key.lastUsedAt);
+  }
+
+  return toPublicKey(key);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+  findApiKeysByUserId,
+  deleteApiKeysForUser,
+  verifyApiKey
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { readFileSync, appendFileSync, existsSync } = require('fs');
+const { join } = require('path');
+const { writeFileAtomic, withFileLock } = require('../storage/files.js');
+
+// Append-only security audit log. Entries are written one JSON object per
+// line and never edited, except that erasing an account redacts its entries.
+// Appends and the redaction rewrite share the file lock, so an entry written
+// while an account is being erased is not lost.
+
+// AUDIT_LOG_FILE is for tests; snapshots only cover the log under data/
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || join(__dirname, '../data/audit-log.jsonl');
+
+const AUDIT_EVENTS = {
+  REGISTER: 'auth.register',
+  LOGIN_SUCCESS: 'auth.login.success',
+  LOGIN_FAILURE: 'auth.login.failure',
+  ACCOUNT_LOCKED: 'auth.account.locked',
+  LOGOUT_ALL: 'auth.logout_all',
+  SESSION_REVOKED: 'auth.session.revoked',
+  EMAIL_VERIFIED: 'auth.email.verified',
+  PASSWORD_RESET_REQUESTED: 'auth.password_reset.requested',
+  PASSWORD_RESET_COMPLETED: 'auth.password_reset.completed',
+  EMAIL_CHANGE_REQUESTED: 'profile.email.change_requested',
+  EMAIL_CHANGED: 'profile.email.changed',
+  EMAIL_CHANGE_REVERTED: 'profile.email.change_reverted',
+  EMAIL_CHANGE_CANCELLED: 'profile.email.change_cancelled',
+  TWO_FACTOR_ENABLED: 'auth.2fa.enabled',
+  TWO_FACTOR_DISABLED: 'auth.2fa.disabled',
+  API_KEY_CREATED: 'auth.api_key.created',
+  API_KEY_REVOKED: 'auth.api_key.revoked',
+  ACCOUNT_DELETION_REQUESTED: 'account.deletion.requested',
+  ACCOUNT_DELETION_CANCELLED: 'account.deletion.cancelled',
+  PLAN_CHANGED: 'billing.plan.changed',
+  ADMIN_ACTION: 'admin.action'
+};
+
+// Helper functions for file operations. Each line is parsed on its own, so a
+// line cut short by a crash mid-append is skipped rather than hiding the rest;
+// its text is kept so a rewrite carries it over. Throws if the file cannot be read.
+const readAuditLines = () => {
+  if (!existsSync(AUDIT_LOG_FILE)) {
+    return [];
+  }
+
+  return readFileSync(AUDIT_LOG_FILE, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return { line, entry: JSON.parse(line) };
+      } catch (error) {
+        console.error('Skipping unreadable audit log entry:', error.message);
+        return { line, entry: null };
+      }
+    });
+};
+
+const readAuditLog = () => {
+  try {
+    return readAuditLines().filter(({ entry }) => entry).map(({ entry }) => entry);
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    return [];
+  }
+};
+
+const appendAuditEntry = (entry) => {
+  try {
+    withFileLock(AUDIT_LOG_FILE, () => appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n'));
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+    throw new Error('Failed to save audit log entry');
+  }
+};
+
+// Where a request came from
+const getRequestContext = (req) => ({
+  ip: req ? req.ip || null : null,
+  userAgent: req ? req.get('user-agent') || null : null
+});
+
+// Record a security event. `userId` is the account the event concerns and
+// `actorId` who caused it (defaults to the signed-in user, if any).
+// A failure to write the log is reported but never fails the request.
+const recordAuditEvent = (req, event, { userId = null, actorId, email = null, outcome = 'success', metadata = {} } = {}) => {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    event,
+    outcome,
+    userId,
+    actorId: actorId !== undefined ? actorId : (req && req.user ? req.user.id : null),
+    email,
+    ...getRequestContext(req),
+    metadata
+  };
+
+  try {
+    appendAuditEntry(entry);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+
+  return entry;
+};
+
+// Newest first. Filters: userId (subject or actor), event (exact or prefix
+// ending in '.'), outcome, ip, since, until.
+const queryAuditLog = ({ userId, event, outcome, ip, since, until } = {}) => {
+  return readAuditLog()
+    .filter(entry => !userId || entry.userId === userId || entry.actorId === userId)
+    .filter(entry => !event || entry.event === event || (event.endsWith('.') && entry.event.startsWith(event)))
+    .filter(entry => !outcome || entry.outcome === outcome)
+    .filter(entry => !ip || entry.ip === ip)
+    .filter(entry => !since || new Date(entry.timestamp) >= new Date(since))
+    .filter(entry => !until || new Date(entry.timestamp) <= new Date(until))
+    .reverse();
+};
+
+// Events concerning a user's own account, for their security page
+const findAuditEventsByUserId = (userId, limit = 50) => {
+  return queryAuditLog().filter(entry => entry.userId === userId).slice(0, limit);
+};
+
+// Metadata keys that hold personal data: email addresses from email changes,
+// and names from admin profile edits
+const PERSONAL_METADATA_KEYS = ['previousEmail', 'pendingEmail', 'revertedFrom', 'email', 'name'];
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+
+// Strip personal data from event metadata at any depth. Any other string that
+// looks like an email address is redacted too, so new events are covered.
+const redactMetadata = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactMetadata);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !PERSONAL_METADATA_KEYS.includes(key))
+      .map(([key, item]) => [key, redactMetadata(item)]));
+  }
+  if (typeof value === 'string' && EMAIL_PATTERN.test(value)) {
+    return '[redacted]';
+  }
+  return value;
+};
+
+// Right to erasure: keep the event history but strip what identifies the
+// person. A log that cannot be read is left alone, never rewritten from what
+// could be read of it.
+const redactAuditEventsForUser = (userId) => withFileLock(AUDIT_LOG_FILE, () => {
+  let lines;
+  try {
+    lines = readAuditLines();
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    throw new Error('Failed to read audit log');
+  }
+
+  const redacted = lines.map(({ line, entry }) => {
+    if (!entry || (entry.userId !== userId && entry.actorId !== userId)) {
+      return line;
+    }
+    return JSON.stringify({
+      ...entry,
+      metadata: redactMetadata(entry.metadata || {}),
+      userId: entry.userId === userId ? 'erased' : entry.userId,
+      actorId: entry.actorId === userId ? 'erased' : entry.actorId,
+      email: entry.userId === userId ? null : entry.email,
+      ip: null,
+      userAgent: null,
+      redactedAt: new Date().toISOString()
+    });
+  });
+
+  try {
+    writeFileAtomic(AUDIT_LOG_FILE, redacted.map(line => line + '\n').join(''));
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+    throw new Error('Failed to save audit log');
+  }
+});
+
+module.exports = {
+  AUDIT_EVENTS,
+  recordAuditEvent,
+  queryAuditLog,
+  findAuditEventsByUserId,
+  redactAuditEventsForUser
+};
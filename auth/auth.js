@@ -1,74 +1,212 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { readFileSync, writeFileSync, existsSync } = require('fs');
-const { join } = require('path');
+const crypto = require('crypto');
+const { DEFAULT_ROLE } = require('./roles.js');
+const { DEFAULT_PLAN, getPlan, getBillingPeriod } = require('./plans.js');
+const { signJwt, verifyJwt } = require('./signingKeys.js');
+const { describeDevice } = require('./userAgent.js');
+const { getCollection } = require('../storage/index.js');
 
-// __dirname is available by default in CommonJS
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // write last-seen at most once a minute per session
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secure-secret-key-change-this-in-production';
-const JWT_EXPIRES_IN = '7d';
+// Users, verification tokens and sessions live in the configured storage
+// backend (see storage/index.js)
+const userStore = getCollection('users');
+const tokenStore = getCollection('verificationTokens');
+const sessionStore = getCollection('sessions');
 
-// File paths
-const USERS_FILE = join(__dirname, '../data/users.json');
-const VERIFICATION_TOKENS_FILE = join(__dirname, '../data/verification-tokens.json');
+const readUsers = () => userStore.values();
 
-// Helper functions for file operations
-const readUsers = () => {
-  if (!existsSync(USERS_FILE)) {
-    writeFileSync(USERS_FILE, JSON.stringify([], null, 2));
-    return [];
-  }
+const readVerificationTokens = () => tokenStore.values();
+
+const readSessions = () => sessionStore.values();
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return signJwt({ userId, sid: sessionId, type: 'access' }, { expiresIn: JWT_EXPIRES_IN });
+};
+
+// Verify JWT access token
+const verifyToken = (token) => {
+  let decoded;
   try {
-    return JSON.parse(readFileSync(USERS_FILE, 'utf8'));
+    decoded = verifyJwt(token);
   } catch (error) {
-    console.error('Error reading users file:', error);
-    return [];
+    throw new Error('Invalid token');
   }
+  
+  // Verification and reset tokens share the signing keys, so only accept access tokens here
+  if (decoded.type !== 'access' || !decoded.sid) {
+    throw new Error('Invalid token');
+  }
+  
+  return decoded;
 };
 
-const writeUsers = (users) => {
+// Short-lived token proving the password step of a two-step login succeeded
+const createTwoFactorChallenge = (userId) => {
+  return signJwt({ userId, type: '2fa-challenge' }, { expiresIn: '5m' });
+};
+
+const verifyTwoFactorChallenge = (token) => {
   try {
-    writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+    const decoded = verifyJwt(token);
+    if (decoded.type !== '2fa-challenge') {
+      throw new Error('Invalid token type');
+    }
+    return decoded;
   } catch (error) {
-    console.error('Error writing users file:', error);
-    throw new Error('Failed to save user data');
+    throw new Error('Invalid or expired two-factor challenge');
   }
 };
 
-const readVerificationTokens = () => {
-  if (!existsSync(VERIFICATION_TOKENS_FILE)) {
-    writeFileSync(VERIFICATION_TOKENS_FILE, JSON.stringify([], null, 2));
-    return [];
+// Refresh tokens are opaque random strings; only their hash is stored
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isSessionActive = (session) => {
+  return !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now();
+};
+
+// Session management functions. The IP address and user agent of the
+// sign-in are kept so users can recognise their sessions.
+const createSession = (userId, { ip = null, userAgent = null } = {}) => {
+  const now = Date.now();
+  const refreshToken = generateRefreshToken();
+  
+  // Drop sessions that can no longer be refreshed
+  sessionStore.deleteWhere(s => new Date(s.expiresAt).getTime() <= now);
+  
+  const session = {
+    id: crypto.randomUUID(),
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    previousTokenHashes: [],
+    ip,
+    userAgent,
+    device: describeDevice(userAgent),
+    createdAt: new Date(now).toISOString(),
+    refreshedAt: null,
+    lastSeenAt: new Date(now).toISOString(),
+    lastSeenIp: ip,
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
+    revokedReason: null
+  };
+  
+  sessionStore.set(session.id, session);
+  
+  return {
+    sessionId: session.id,
+    accessToken: generateToken(userId, session.id),
+    refreshToken,
+    expiresIn: JWT_EXPIRES_IN
+  };
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const refreshSession = (refreshToken, { ip = null } = {}) => {
+  const sessions = readSessions();
+  const tokenHash = hashToken(refreshToken);
+  const session = sessions.find(s => s.refreshTokenHash === tokenHash);
+  
+  if (!session) {
+    // A rotated-out token being replayed means it leaked; kill the whole session
+    const compromised = sessions.find(s => (s.previousTokenHashes || []).includes(tokenHash));
+    if (compromised && !compromised.revokedAt) {
+      compromised.revokedAt = new Date().toISOString();
+      compromised.revokedReason = 'refresh-token-reuse';
+      sessionStore.set(compromised.id, compromised);
+    }
+    throw new Error('Invalid refresh token');
   }
-  try {
-    return JSON.parse(readFileSync(VERIFICATION_TOKENS_FILE, 'utf8'));
-  } catch (error) {
-    console.error('Error reading verification tokens file:', error);
-    return [];
+  
+  if (!isSessionActive(session)) {
+    throw new Error('Refresh token expired or revoked');
   }
+  
+  // Rotate: the presented token is retired and a new one issued
+  const newRefreshToken = generateRefreshToken();
+  session.previousTokenHashes = [...(session.previousTokenHashes || []), session.refreshTokenHash].slice(-20);
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.refreshedAt = new Date().toISOString();
+  session.lastSeenAt = session.refreshedAt;
+  session.lastSeenIp = ip || session.lastSeenIp || null;
+  sessionStore.set(session.id, session);
+  
+  return {
+    sessionId: session.id,
+    accessToken: generateToken(session.userId, session.id),
+    refreshToken: newRefreshToken,
+    expiresIn: JWT_EXPIRES_IN
+  };
 };
 
-const writeVerificationTokens = (tokens) => {
-  try {
-    writeFileSync(VERIFICATION_TOKENS_FILE, JSON.stringify(tokens, null, 2));
-  } catch (error) {
-    console.error('Error writing verification tokens file:', error);
-    throw new Error('Failed to save verification token');
+// Record that a session was just used. Writes are throttled to once a
+// minute per session unless the IP address changes.
+const touchSession = (sessionId, { ip = null } = {}) => {
+  const session = sessionStore.get(sessionId);
+  
+  if (!session) {
+    return;
   }
+  
+  const now = Date.now();
+  const lastSeen = session.lastSeenAt ? new Date(session.lastSeenAt).getTime() : 0;
+  const ipChanged = ip && ip !== session.lastSeenIp;
+  
+  if (now - lastSeen < SESSION_TOUCH_INTERVAL && !ipChanged) {
+    return;
+  }
+  
+  session.lastSeenAt = new Date(now).toISOString();
+  session.lastSeenIp = ip || session.lastSeenIp || null;
+  sessionStore.set(session.id, session);
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+const findSessionById = (id) => {
+  return sessionStore.get(id);
 };
 
-// Verify JWT token
-const verifyToken = (token) => {
-  try {
-    return jwt.verify(token, JWT_SECRET);
-  } catch (error) {
-    throw new Error('Invalid token');
+const findSessionsByUserId = (userId) => {
+  return readSessions().filter(s => s.userId === userId);
+};
+
+const findSessionByRefreshToken = (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  return readSessions().find(s => s.refreshTokenHash === tokenHash);
+};
+
+const revokeSession = (sessionId, reason = 'logout') => {
+  const session = sessionStore.get(sessionId);
+  
+  if (!session) {
+    return false;
   }
+  
+  if (!session.revokedAt) {
+    session.revokedAt = new Date().toISOString();
+    session.revokedReason = reason;
+    sessionStore.set(session.id, session);
+  }
+  
+  return true;
+};
+
+// Revoke every session for a user ("log out everywhere")
+const revokeAllSessions = (userId, reason = 'logout-all') => {
+  const revokedAt = new Date().toISOString();
+  const revoked = readSessions()
+    .filter(session => session.userId === userId && !session.revokedAt)
+    .map(session => ({ ...session, revokedAt, revokedReason: reason }));
+  
+  if (revoked.length > 0) {
+    sessionStore.setMany(revoked.map(session => [session.id, session]));
+  }
+  
+  return revoked.length;
 };
 
 // Hash password
@@ -81,6 +219,15 @@ const comparePassword = async (password, hash) => {
   return await bcrypt.compare(password, hash);
 };
 
+// Strip credentials and second-factor secrets before a user record leaves this module
+const sanitizeUser = (user) => {
+  const { password, twoFactor, ...publicUser } = user;
+  return {
+    ...publicUser,
+    twoFactorEnabled: Boolean(twoFactor && twoFactor.enabled)
+  };
+};
+
 // User management functions
 const createUser = async (userData) => {
   const users = readUsers();
@@ -100,81 +247,185 @@ const createUser = async (userData) => {
     password: hashedPassword,
     emailVerified: false,
     provider: 'email',
-    plan: 'free',
+    role: DEFAULT_ROLE,
+    plan: DEFAULT_PLAN,
     searchesUsed: 0,
-    searchLimit: 10,
+    searchLimit: getPlan(DEFAULT_PLAN).monthlyQuota,
     createdAt: new Date().toISOString(),
     lastLoginAt: null
   };
   
-  users.push(newUser);
-  writeUsers(users);
+  const billingPeriod = getBillingPeriod(newUser.createdAt);
+  newUser.billingPeriodStart = billingPeriod.start;
+  newUser.billingPeriodEnd = billingPeriod.end;
+  
+  // Checked again under the lock: another process may have registered the
+  // address while the password was being hashed
+  if (!userStore.insert(newUser.id, newUser, user => user.email === newUser.email)) {
+    throw new Error('User already exists');
+  }
   
   // Return user without password
-  const { password, ...userWithoutPassword } = newUser;
-  return userWithoutPassword;
+  return sanitizeUser(newUser);
 };
 
+// Create a user who signs in through an external identity provider (no password)
+const createOAuthUser = (profile) => {
+  const users = readUsers();
+  
+  const existingUser = users.find(user => user.email === profile.email);
+  if (existingUser) {
+    throw new Error('User already exists');
+  }
+  
+  const newUser = {
+    id: Date.now().toString(),
+    email: profile.email,
+    name: profile.name || profile.email.split('@')[0],
+    password: null,
+    emailVerified: Boolean(profile.emailVerified),
+    provider: profile.provider,
+    oauthIdentities: [{
+      provider: profile.provider,
+      subject: profile.subject,
+      linkedAt: new Date().toISOString()
+    }],
+    role: DEFAULT_ROLE,
+    plan: DEFAULT_PLAN,
+    searchesUsed: 0,
+    searchLimit: getPlan(DEFAULT_PLAN).monthlyQuota,
+    createdAt: new Date().toISOString(),
+    lastLoginAt: null
+  };
+  
+  const billingPeriod = getBillingPeriod(newUser.createdAt);
+  newUser.billingPeriodStart = billingPeriod.start;
+  newUser.billingPeriodEnd = billingPeriod.end;
+  
+  if (!userStore.insert(newUser.id, newUser, user => user.email === newUser.email)) {
+    throw new Error('User already exists');
+  }
+  
+  return sanitizeUser(newUser);
+};
+
+const findUserByOAuthIdentity = (provider, subject) => {
+  const users = readUsers();
+  return users.find(user => (user.oauthIdentities || []).some(
+    identity => identity.provider === provider && identity.subject === subject
+  ));
+};
+
+const linkOAuthIdentity = (userId, provider, subject) => {
+  const user = findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  const identities = (user.oauthIdentities || []).filter(identity => identity.provider !== provider);
+  identities.push({ provider, subject, linkedAt: new Date().toISOString() });
+  
+  return updateUser(userId, { oauthIdentities: identities });
+};
+
+// Someone other than the address's owner may have registered an unverified
+// account. Before the owner takes it over through a provider that vouches for
+// the address, drop everything the registrant could still sign in with:
+// password, 2FA, linked identities, pending tokens and sessions.
+const resetUnverifiedAccount = (userId) => {
+  const user = findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  updateUser(userId, {
+    password: null,
+    twoFactor: { enabled: false },
+    oauthIdentities: [],
+    pendingEmail: null,
+    pendingEmailRequestedAt: null
+  });
+  tokenStore.deleteWhere(t => t.userId === userId);
+  revokeAllSessions(userId, 'unverified-account-claimed');
+};
+
+const listUsers = () => readUsers();
+
+const isUserSuspended = (user) => Boolean(user && user.suspendedAt);
+
 const findUserByEmail = (email) => {
   const users = readUsers();
   return users.find(user => user.email === email);
 };
 
 const findUserById = (id) => {
-  const users = readUsers();
-  return users.find(user => user.id === id);
+  return userStore.get(id);
 };
 
+// `updates` is either the fields to change or a function that takes the
+// current record and returns them (null for no change). Either way the
+// record is read and written under the collection's lock, so a change
+// computed from the current value (a counter, say) never loses another
+// process's write.
 const updateUser = (id, updates) => {
-  const users = readUsers();
-  const userIndex = users.findIndex(user => user.id === id);
+  const updatedUser = userStore.update(id, (user) => {
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const changes = typeof updates === 'function' ? updates(user) : updates;
+    return changes ? { ...user, ...changes } : undefined;
+  });
   
-  if (userIndex === -1) {
+  // Return user without password
+  return sanitizeUser(updatedUser);
+};
+
+// Remove a user and everything stored against them from the collections managed here
+const deleteUserRecords = (userId) => {
+  if (!userStore.delete(userId)) {
     throw new Error('User not found');
   }
   
-  users[userIndex] = { ...users[userIndex], ...updates };
-  writeUsers(users);
-  
-  // Return user without password
-  const { password, ...userWithoutPassword } = users[userIndex];
-  return userWithoutPassword;
+  tokenStore.deleteWhere(t => t.userId === userId);
+  sessionStore.deleteWhere(s => s.userId === userId);
+};
+
+const findVerificationTokensByUserId = (userId) => {
+  return readVerificationTokens().filter(t => t.userId === userId);
 };
 
 // Email verification functions
 const createVerificationToken = (userId, email) => {
-  const tokens = readVerificationTokens();
-  const token = jwt.sign({ userId, email }, JWT_SECRET, { expiresIn: '24h' });
+  const token = signJwt({ userId, email }, { expiresIn: '24h' });
   
-  // Remove existing tokens for this user
-  const filteredTokens = tokens.filter(t => t.userId !== userId);
+  // Remove existing verification tokens for this user
+  tokenStore.deleteWhere(t => t.userId === userId && t.type === 'email-verification');
   
   // Add new token
-  filteredTokens.push({
+  tokenStore.set(token, {
     userId,
     email,
     token,
+    type: 'email-verification',
     createdAt: new Date().toISOString(),
     expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
   });
   
-  writeVerificationTokens(filteredTokens);
   return token;
 };
 
 const verifyEmailToken = (token) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const tokens = readVerificationTokens();
-    const tokenData = tokens.find(t => t.token === token);
+    const decoded = verifyJwt(token);
+    const tokenData = tokenStore.get(token);
     
-    if (!tokenData) {
+    if (!tokenData || tokenData.type !== 'email-verification') {
       throw new Error('Invalid verification token');
     }
     
     // Remove used token
-    const filteredTokens = tokens.filter(t => t.token !== token);
-    writeVerificationTokens(filteredTokens);
+    tokenStore.delete(token);
     
     // Update user as verified
     updateUser(decoded.userId, { emailVerified: true });
@@ -187,15 +438,13 @@ const verifyEmailToken = (token) => {
 
 // Password reset functions
 const createPasswordResetToken = (userId, email) => {
-  const token = jwt.sign({ userId, email, type: 'password-reset' }, JWT_SECRET, { expiresIn: '1h' });
-  
-  const tokens = readVerificationTokens();
+  const token = signJwt({ userId, email, type: 'password-reset' }, { expiresIn: '1h' });
   
   // Remove existing password reset tokens for this user
-  const filteredTokens = tokens.filter(t => !(t.userId === userId && t.type === 'password-reset'));
+  tokenStore.deleteWhere(t => t.userId === userId && t.type === 'password-reset');
   
   // Add new token
-  filteredTokens.push({
+  tokenStore.set(token, {
     userId,
     email,
     token,
@@ -204,22 +453,20 @@ const createPasswordResetToken = (userId, email) => {
     expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
   });
   
-  writeVerificationTokens(filteredTokens);
   return token;
 };
 
 const verifyPasswordResetToken = (token) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyJwt(token);
     
     if (decoded.type !== 'password-reset') {
       throw new Error('Invalid token type');
     }
     
-    const tokens = readVerificationTokens();
-    const tokenData = tokens.find(t => t.token === token && t.type === 'password-reset');
+    const tokenData = tokenStore.get(token);
     
-    if (!tokenData) {
+    if (!tokenData || tokenData.type !== 'password-reset') {
       throw new Error('Invalid password reset token');
     }
     
@@ -229,6 +476,252 @@ const verifyPasswordResetToken = (token) => {
   }
 };
 
+// Magic link (passwordless login) functions
+const MAGIC_LINK_TTL_MINUTES = 15;
+
+const createMagicLinkToken = (userId, email) => {
+  const token = signJwt({ userId, email, type: 'magic-link' }, { expiresIn: `${MAGIC_LINK_TTL_MINUTES}m` });
+  
+  // Only the most recent link is valid
+  tokenStore.deleteWhere(t => t.userId === userId && t.type === 'magic-link');
+  
+  tokenStore.set(token, {
+    userId,
+    email,
+    token,
+    type: 'magic-link',
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000).toISOString()
+  });
+  
+  return token;
+};
+
+// Single use: the token is removed as it is consumed. Clicking the link
+// proves control of the mailbox, so the email is marked verified.
+const consumeMagicLinkToken = (token) => {
+  try {
+    const decoded = verifyJwt(token);
+    
+    if (decoded.type !== 'magic-link') {
+      throw new Error('Invalid token type');
+    }
+    
+    const tokenData = tokenStore.get(token);
+    
+    if (!tokenData || tokenData.type !== 'magic-link') {
+      throw new Error('Invalid magic link');
+    }
+    
+    tokenStore.delete(token);
+    
+    const user = findUserById(decoded.userId);
+    if (!user || user.email !== decoded.email) {
+      throw new Error('Invalid magic link');
+    }
+    
+    if (!user.emailVerified) {
+      updateUser(user.id, { emailVerified: true });
+    }
+    
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired magic link');
+  }
+};
+
+// Email change functions. The new address stays in `pendingEmail` (and login
+// keeps using the current one) until it is confirmed from the new mailbox.
+// The current address gets a revert link that works for EMAIL_CHANGE_REVERT_DAYS.
+const EMAIL_CHANGE_TTL_HOURS = 24;
+const EMAIL_CHANGE_REVERT_DAYS = parseInt(process.env.EMAIL_CHANGE_REVERT_DAYS) || 7;
+
+const requestEmailChange = (userId, newEmail) => {
+  const user = findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  if (newEmail === user.email) {
+    throw new Error('This is already your email address');
+  }
+  
+  if (findUserByEmail(newEmail)) {
+    throw new Error('Email already in use');
+  }
+  
+  const now = Date.now();
+  const confirmationToken = signJwt(
+    { userId, email: newEmail, previousEmail: user.email, type: 'email-change' },
+    { expiresIn: `${EMAIL_CHANGE_TTL_HOURS}h` }
+  );
+  const revertExpiresAt = new Date(now + EMAIL_CHANGE_REVERT_DAYS * 24 * 60 * 60 * 1000);
+  const revertToken = signJwt(
+    { userId, email: user.email, type: 'email-revert' },
+    { expiresIn: `${EMAIL_CHANGE_REVERT_DAYS}d` }
+  );
+  
+  // Only the latest change can be confirmed. Revert links are all kept: each
+  // one restores the address it was sent to.
+  tokenStore.deleteWhere(t => t.userId === userId && t.type === 'email-change');
+  
+  tokenStore.setMany([
+    [confirmationToken, {
+      userId,
+      email: newEmail,
+      token: confirmationToken,
+      type: 'email-change',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    }],
+    [revertToken, {
+      userId,
+      email: user.email,
+      token: revertToken,
+      type: 'email-revert',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: revertExpiresAt.toISOString()
+    }]
+  ]);
+  updateUser(userId, { pendingEmail: newEmail, pendingEmailRequestedAt: new Date(now).toISOString() });
+  
+  return { confirmationToken, revertToken, revertExpiresAt: revertExpiresAt.toISOString() };
+};
+
+// Switch to the pending address. Single use.
+const confirmEmailChange = (token) => {
+  let decoded;
+  try {
+    decoded = verifyJwt(token);
+  } catch (error) {
+    throw new Error('Invalid or expired email change link');
+  }
+  
+  const tokenData = tokenStore.get(token);
+  
+  if (decoded.type !== 'email-change' || !tokenData || tokenData.type !== 'email-change') {
+    throw new Error('Invalid or expired email change link');
+  }
+  
+  tokenStore.delete(token);
+  
+  const user = findUserById(decoded.userId);
+  if (!user || user.pendingEmail !== decoded.email) {
+    throw new Error('Invalid or expired email change link');
+  }
+  
+  if (findUserByEmail(decoded.email)) {
+    updateUser(user.id, { pendingEmail: null, pendingEmailRequestedAt: null });
+    throw new Error('Email already in use');
+  }
+  
+  updateUser(user.id, {
+    email: decoded.email,
+    emailVerified: true,
+    pendingEmail: null,
+    pendingEmailRequestedAt: null,
+    emailChangedAt: new Date().toISOString()
+  });
+  
+  return { userId: user.id, email: decoded.email, previousEmail: user.email };
+};
+
+// Undo a change from the link sent to the old address: cancels a pending
+// change, or restores the old address if the change was already confirmed.
+// The account is signed out everywhere, since the change may not have been
+// made by its owner.
+const revertEmailChange = (token) => {
+  let decoded;
+  try {
+    decoded = verifyJwt(token);
+  } catch (error) {
+    throw new Error('Invalid or expired revert link');
+  }
+  
+  const tokenData = tokenStore.get(token);
+  
+  if (decoded.type !== 'email-revert' || !tokenData || tokenData.type !== 'email-revert') {
+    throw new Error('Invalid or expired revert link');
+  }
+  
+  const user = findUserById(decoded.userId);
+  if (!user) {
+    throw new Error('Invalid or expired revert link');
+  }
+  
+  const owner = findUserByEmail(decoded.email);
+  if (owner && owner.id !== user.id) {
+    throw new Error('The original address now belongs to another account');
+  }
+  
+  // Drop this link and any change still waiting to be confirmed
+  tokenStore.delete(token);
+  tokenStore.deleteWhere(t => t.userId === user.id && t.type === 'email-change');
+  
+  updateUser(user.id, {
+    email: decoded.email,
+    emailVerified: true,
+    pendingEmail: null,
+    pendingEmailRequestedAt: null,
+    emailChangedAt: user.email !== decoded.email ? new Date().toISOString() : user.emailChangedAt || null
+  });
+  revokeAllSessions(user.id, 'email-change-reverted');
+  
+  return {
+    userId: user.id,
+    email: decoded.email,
+    revertedFrom: user.email !== decoded.email ? user.email : user.pendingEmail || null
+  };
+};
+
+const cancelEmailChange = (userId) => {
+  const user = findUserById(userId);
+  if (!user || !user.pendingEmail) {
+    throw new Error('No email change is pending');
+  }
+  
+  tokenStore.deleteWhere(t => t.userId === userId && t.type === 'email-change');
+  return updateUser(userId, { pendingEmail: null, pendingEmailRequestedAt: null });
+};
+
+// OAuth authorization request state (state, nonce and PKCE verifier)
+const createOAuthState = (provider, { nonce, codeVerifier }) => {
+  const state = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  
+  // Drop abandoned authorization requests
+  tokenStore.deleteWhere(t => t.type === 'oauth-state' && new Date(t.expiresAt).getTime() < now);
+  
+  tokenStore.set(state, {
+    token: state,
+    type: 'oauth-state',
+    provider,
+    nonce,
+    codeVerifier,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + 10 * 60 * 1000).toISOString()
+  });
+  
+  return state;
+};
+
+// Look up and remove an authorization request; each state can be used once
+const consumeOAuthState = (provider, state) => {
+  const tokenData = tokenStore.get(state);
+  
+  if (!tokenData || tokenData.type !== 'oauth-state') {
+    throw new Error('Invalid or expired OAuth state');
+  }
+  
+  tokenStore.delete(state);
+  
+  if (tokenData.provider !== provider || new Date(tokenData.expiresAt).getTime() < Date.now()) {
+    throw new Error('Invalid or expired OAuth state');
+  }
+  
+  return tokenData;
+};
+
 const resetPassword = async (token, newPassword) => {
   try {
     const decoded = verifyPasswordResetToken(token);
@@ -237,11 +730,12 @@ const resetPassword = async (token, newPassword) => {
     updateUser(decoded.userId, { password: hashedPassword });
     
     // Remove used token
-    const tokens = readVerificationTokens();
-    const filteredTokens = tokens.filter(t => t.token !== token);
-    writeVerificationTokens(filteredTokens);
+    tokenStore.delete(token);
+    
+    // Sign out everywhere in case the old password was compromised
+    revokeAllSessions(decoded.userId, 'password-reset');
     
-    return true;
+    return decoded;
   } catch (error) {
     throw error;
   }
@@ -250,15 +744,43 @@ const resetPassword = async (token, newPassword) => {
 module.exports = {
   generateToken,
   verifyToken,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  refreshSession,
+  touchSession,
+  findSessionById,
+  findSessionsByUserId,
+  findSessionByRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
   hashPassword,
   comparePassword,
+  sanitizeUser,
   createUser,
+  createOAuthUser,
+  listUsers,
+  isUserSuspended,
   findUserByEmail,
   findUserById,
+  findUserByOAuthIdentity,
+  linkOAuthIdentity,
+  resetUnverifiedAccount,
   updateUser,
+  deleteUserRecords,
+  findVerificationTokensByUserId,
   createVerificationToken,
   verifyEmailToken,
   createPasswordResetToken,
   verifyPasswordResetToken,
+  createMagicLinkToken,
+  consumeMagicLinkToken,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  cancelEmailChange,
+  createOAuthState,
+  consumeOAuthState,
   resetPassword
 };
\ No newline at end of file
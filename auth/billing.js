@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { readFileSync, existsSync } = require('fs');
+const { join } = require('path');
+const { writeFileAtomic, withFileLock } = require('../storage/files.js');
+const { findUserById, listUsers, updateUser } = require('./auth.js');
+const { findOrganisationById, listOrganisations, updateOrganisation } = require('./organisations.js');
+const { PLAN_CATALOGUE, DEFAULT_PLAN, getPlan } = require('./plans.js');
+
+// Payment-provider webhooks. Each delivery carries a header of the form
+//   Billing-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// and a JSON body:
+//   { id, type, created, data: { userId | organisationId | customerId, plan, subscriptionId, currentPeriodEnd } }
+
+const BILLING_EVENTS_FILE = join(__dirname, '../data/billing-events.json');
+const WEBHOOK_SECRET = process.env.BILLING_WEBHOOK_SECRET;
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.BILLING_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+const SUBSCRIPTION_EVENTS = [
+  'subscription.created',
+  'subscription.renewed',
+  'subscription.cancelled',
+  'subscription.past_due'
+];
+
+// Helper functions for file operations
+const readBillingEvents = () => {
+  if (!existsSync(BILLING_EVENTS_FILE)) {
+    return [];
+  }
+  try {
+    return JSON.parse(readFileSync(BILLING_EVENTS_FILE, 'utf8'));
+  } catch (error) {
+    console.error('Error reading billing events file:', error);
+    return [];
+  }
+};
+
+const writeBillingEvents = (events) => {
+  try {
+    writeFileAtomic(BILLING_EVENTS_FILE, JSON.stringify(events, null, 2));
+  } catch (error) {
+    console.error('Error writing billing events file:', error);
+    throw new Error('Failed to save billing event data');
+  }
+};
+
+const computeSignature = (payload, timestamp, secret) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+};
+
+// Build a signature header for a payload, e.g. to sign local test fixtures
+const signPayload = (payload, secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+};
+
+// Check a raw request body against its signature header
+const verifySignature = (payload, header, secret = WEBHOOK_SECRET) => {
+  if (!secret) {
+    throw new Error('Billing webhook secret is not configured');
+  }
+
+  const parts = {};
+  (header || '').split(',').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value) {
+      parts[key.trim()] = value.trim();
+    }
+  });
+
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(payload, timestamp, secret), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const findProcessedEvent = (eventId) => {
+  return readBillingEvents().find(event => event.id === eventId) || null;
+};
+
+// The user or organisation a subscription belongs to. Checkout sessions carry
+// our own userId/organisationId; later events may only carry the customer id.
+const findSubscriber = ({ userId, organisationId, customerId }) => {
+  if (organisationId) {
+    const organisation = findOrganisationById(organisationId);
+    return organisation ? { kind: 'organisation', record: organisation } : null;
+  }
+
+  if (userId) {
+    const user = findUserById(userId);
+    return user ? { kind: 'user', record: user } : null;
+  }
+
+  if (customerId) {
+    const organisation = listOrganisations().find(org => org.billing && org.billing.customerId === customerId);
+    if (organisation) {
+      return { kind: 'organisation', record: organisation };
+    }
+
+    const user = listUsers().find(u => u.billing && u.billing.customerId === customerId);
+    return user ? { kind: 'user', record: user } : null;
+  }
+
+  return null;
+};
+
+// Providers send `created` in unix seconds
+const getEventTime = (event) => (event.created ? new Date(event.created * 1000) : new Date());
+
+// Plan and subscription state for each event type. Cancelled and past-due
+// subscriptions fall back to the default plan until a renewal succeeds.
+const getSubscriptionChanges = (event, subscriber) => {
+  const { data } = event;
+  const currentBilling = subscriber.record.billing || {};
+  const paidPlan = data.plan || currentBilling.plan;
+
+  if (['subscription.created', 'subscription.renewed'].includes(event.type) && !PLAN_CATALOGUE[paidPlan]) {
+    throw new Error(`Unknown plan: ${paidPlan}`);
+  }
+
+  const statusByType = {
+    'subscription.created': 'active',
+    'subscription.renewed': 'active',
+    'subscription.cancelled': 'cancelled',
+    'subscription.past_due': 'past_due'
+  };
+  const status = statusByType[event.type];
+  const plan = status === 'active' ? paidPlan : DEFAULT_PLAN;
+
+  return {
+    plan,
+    searchLimit: getPlan(plan).monthlyQuota,
+    billing: {
+      ...currentBilling,
+      customerId: data.customerId || currentBilling.customerId || null,
+      subscriptionId: data.subscriptionId || currentBilling.subscriptionId || null,
+      plan: paidPlan || null,
+      status,
+      currentPeriodEnd: data.currentPeriodEnd || currentBilling.currentPeriodEnd || null,
+      lastEventId: event.id,
+      lastEventAt: getEventTime(event).toISOString()
+    }
+  };
+};
+
+// Apply a verified webhook event. Events already processed are not applied
+// again, and events older than the last one applied to the subscriber are
+// recorded but ignored, so redelivery and out-of-order delivery are harmless.
+// The whole check-apply-record cycle holds the events file lock, so two
+// workers receiving the same delivery cannot both apply it.
+const processBillingEvent = (event) => withFileLock(BILLING_EVENTS_FILE, () => {
+  if (!event || !event.id || !event.type) {
+    throw new Error('Malformed billing event');
+  }
+
+  const processed = findProcessedEvent(event.id);
+  if (processed) {
+    return { ...processed, duplicate: true };
+  }
+
+  const record = {
+    id: event.id,
+    type: event.type,
+    subscriberType: null,
+    subscriberId: null,
+    outcome: 'applied',
+    previousPlan: null,
+    plan: null,
+    processedAt: new Date().toISOString()
+  };
+
+  const subscriber = SUBSCRIPTION_EVENTS.includes(event.type) ? findSubscriber(event.data || {}) : null;
+  const lastEventAt = subscriber && subscriber.record.billing && subscriber.record.billing.lastEventAt;
+
+  if (!SUBSCRIPTION_EVENTS.includes(event.type)) {
+    record.outcome = 'ignored-event-type';
+  } else if (!subscriber) {
+    record.outcome = 'unknown-subscriber';
+  } else if (lastEventAt && getEventTime(event) < new Date(lastEventAt)) {
+    record.subscriberType = subscriber.kind;
+    record.subscriberId = subscriber.record.id;
+    record.outcome = 'stale';
+  } else {
+    const changes = getSubscriptionChanges(event, subscriber);
+
+    if (subscriber.kind === 'organisation') {
+      updateOrganisation(subscriber.record.id, changes);
+    } else {
+      updateUser(subscriber.record.id, changes);
+    }
+
+    record.subscriberType = subscriber.kind;
+    record.subscriberId = subscriber.record.id;
+    record.previousPlan = subscriber.record.plan || DEFAULT_PLAN;
+    record.plan = changes.plan;
+  }
+
+  const events = readBillingEvents();
+  events.push(record);
+  writeBillingEvents(events);
+
+  return { ...record, duplicate: false };
+});
+
+module.exports = {
+  SUBSCRIPTION_EVENTS,
+  signPayload,
+  verifySignature,
+  processBillingEvent
+};
@@ -0,0 +1,244 @@
+const { findUserById, updateUser } = require('./auth.js');
+
+// Per-account settings
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const FREE_ATTEMPTS = 3; // failures allowed before delays kick in
+const MAX_DELAY_SECONDS = 60;
+
+// Per-IP settings
+const IP_WINDOW = 15 * 60 * 1000; // 15 minutes
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 30;
+const IP_MAX_TRACKED = 100000; // addresses kept in memory at most
+
+// Failures per IP address, kept in memory: { ip: [timestamp, ...] }
+const ipFailures = new Map();
+
+// Drop addresses with no failures left in the window, so addresses that never
+// come back do not pile up
+const sweepIpFailures = () => {
+  const cutoff = Date.now() - IP_WINDOW;
+  ipFailures.forEach((failures, ip) => {
+    if (failures[failures.length - 1] <= cutoff) {
+      ipFailures.delete(ip);
+    }
+  });
+};
+
+setInterval(sweepIpFailures, IP_WINDOW).unref();
+
+const getRecentIpFailures = (ip) => {
+  const cutoff = Date.now() - IP_WINDOW;
+  const failures = (ipFailures.get(ip) || []).filter(timestamp => timestamp > cutoff);
+
+  if (failures.length > 0) {
+    ipFailures.set(ip, failures);
+  } else {
+    ipFailures.delete(ip);
+  }
+
+  return failures;
+};
+
+// Delay required before the next attempt after a number of consecutive failures
+const getProgressiveDelay = (failedAttempts) => {
+  if (failedAttempts < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS) * 1000;
+};
+
+const getLoginSecurity = (user) => ({
+  failedAttempts: 0,
+  lastFailedAt: null,
+  nextAttemptAt: null,
+  lockedUntil: null,
+  lockoutCount: 0,
+  ...(user && user.loginSecurity)
+});
+
+const isAccountLocked = (user) => {
+  const { lockedUntil } = getLoginSecurity(user);
+  return Boolean(lockedUntil && new Date(lockedUntil).getTime() > Date.now());
+};
+
+// Decide whether a login attempt may proceed, from the account's state alone
+const checkAccountAllowed = (user, now = Date.now()) => {
+  const security = getLoginSecurity(user);
+
+  if (isAccountLocked(user)) {
+    return {
+      allowed: false,
+      reason: 'locked',
+      retryAfter: Math.ceil((new Date(security.lockedUntil).getTime() - now) / 1000)
+    };
+  }
+
+  if (security.nextAttemptAt && new Date(security.nextAttemptAt).getTime() > now) {
+    return {
+      allowed: false,
+      reason: 'delay',
+      retryAfter: Math.ceil((new Date(security.nextAttemptAt).getTime() - now) / 1000)
+    };
+  }
+
+  return { allowed: true };
+};
+
+// Start a login attempt. user may be null for unknown emails.
+//
+// The attempt is counted before the password is checked, in the same atomic
+// update that re-reads the account and checks its lockout and delay, so
+// parallel guesses cannot all pass the check before any failure is recorded.
+// The attempt counts as failed until recordSuccessfulLogin clears it, or
+// releaseLoginAttempt hands it back.
+const beginLoginAttempt = (user, ip) => {
+  if (getRecentIpFailures(ip).length >= IP_MAX_FAILURES) {
+    return { allowed: false, reason: 'ip', retryAfter: Math.ceil(IP_WINDOW / 1000) };
+  }
+
+  if (!user) {
+    return { allowed: true };
+  }
+
+  let throttle;
+  updateUser(user.id, (current) => {
+    const now = Date.now();
+    throttle = checkAccountAllowed(current, now);
+    if (!throttle.allowed) {
+      return null;
+    }
+
+    const security = getLoginSecurity(current);
+    const failedAttempts = security.failedAttempts + 1;
+    const delay = getProgressiveDelay(failedAttempts);
+
+    return {
+      loginSecurity: {
+        ...security,
+        failedAttempts,
+        nextAttemptAt: delay > 0 ? new Date(now + delay).toISOString() : null
+      }
+    };
+  });
+
+  return throttle;
+};
+
+// The password was right but the login did not complete here (a second factor
+// is still due, or the account cannot sign in): stop counting the attempt
+const releaseLoginAttempt = (user) => {
+  updateUser(user.id, (current) => {
+    const security = getLoginSecurity(current);
+    return {
+      loginSecurity: {
+        ...security,
+        failedAttempts: Math.max(security.failedAttempts - 1, 0),
+        nextAttemptAt: null
+      }
+    };
+  });
+};
+
+// Record a failed attempt, already counted by beginLoginAttempt, and lock the
+// account once the count reaches the limit. Returns { locked, lockedUntil } so
+// the caller can notify the user.
+const recordFailedLogin = (user, ip) => {
+  const failures = getRecentIpFailures(ip);
+  failures.push(Date.now());
+  ipFailures.delete(ip);
+  ipFailures.set(ip, failures);
+
+  // Under a flood of distinct addresses, forget the least recently failed
+  while (ipFailures.size > IP_MAX_TRACKED) {
+    ipFailures.delete(ipFailures.keys().next().value);
+  }
+
+  if (!user) {
+    return { locked: false };
+  }
+
+  let result = { locked: false };
+  updateUser(user.id, (current) => {
+    const now = Date.now();
+    const security = getLoginSecurity(current);
+
+    if (security.failedAttempts < MAX_FAILED_ATTEMPTS) {
+      return {
+        loginSecurity: {
+          ...security,
+          lastFailedAt: new Date(now).toISOString(),
+          lastFailedIp: ip
+        }
+      };
+    }
+
+    // Each consecutive lockout doubles in length
+    const lockoutMinutes = Math.min(LOCKOUT_MINUTES * 2 ** security.lockoutCount, MAX_LOCKOUT_MINUTES);
+    const lockedUntil = new Date(now + lockoutMinutes * 60 * 1000).toISOString();
+    result = { locked: true, lockedUntil };
+
+    return {
+      loginSecurity: {
+        failedAttempts: 0,
+        lastFailedAt: new Date(now).toISOString(),
+        lastFailedIp: ip,
+        nextAttemptAt: null,
+        lockedUntil,
+        lockedAt: new Date(now).toISOString(),
+        lockoutCount: security.lockoutCount + 1
+      }
+    };
+  });
+
+  return result;
+};
+
+const recordSuccessfulLogin = (user) => {
+  updateUser(user.id, (current) => {
+    const security = getLoginSecurity(current);
+
+    if (security.failedAttempts === 0 && !security.nextAttemptAt && !security.lockedUntil) {
+      return null;
+    }
+
+    // Keep lockoutCount so repeat offenders still escalate
+    return {
+      loginSecurity: {
+        failedAttempts: 0,
+        lastFailedAt: security.lastFailedAt,
+        nextAttemptAt: null,
+        lockedUntil: null,
+        lockoutCount: security.lockoutCount
+      }
+    };
+  });
+};
+
+// Admin unlock: clears all lockout state
+const unlockAccount = (userId) => {
+  const user = findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return updateUser(userId, {
+    loginSecurity: {
+      failedAttempts: 0,
+      lastFailedAt: null,
+      nextAttemptAt: null,
+      lockedUntil: null,
+      lockoutCount: 0
+    }
+  });
+};
+
+module.exports = {
+  beginLoginAttempt,
+  releaseLoginAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  isAccountLocked,
+  unlockAccount
+};
@@ -0,0 +1,203 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Discovery documents and key sets are refetched after this long
+const METADATA_TTL = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+// Provider configuration. Any OpenID Connect provider works; point
+// GOOGLE_ISSUER (or OIDC_ISSUER) at a local mock IdP for testing.
+const getProviders = () => {
+  const providers = {
+    google: {
+      issuer: process.env.GOOGLE_ISSUER || 'https://accounts.google.com',
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      redirectUri: process.env.GOOGLE_REDIRECT_URI,
+      scope: 'openid email profile'
+    }
+  };
+
+  if (process.env.OIDC_ISSUER) {
+    providers.oidc = {
+      issuer: process.env.OIDC_ISSUER,
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      redirectUri: process.env.OIDC_REDIRECT_URI,
+      scope: process.env.OIDC_SCOPE || 'openid email profile'
+    };
+  }
+
+  return providers;
+};
+
+const getProviderConfig = (name) => {
+  const config = getProviders()[name];
+
+  if (!config || !config.clientId || !config.redirectUri) {
+    throw new Error(`OAuth provider "${name}" is not configured`);
+  }
+
+  return config;
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Fetch (and cache) the provider's OpenID configuration
+const getDiscoveryDocument = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_TTL) {
+    return cached.document;
+  }
+
+  const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  const response = await axios.get(url, { timeout: 10000 });
+
+  if (response.data.issuer !== issuer) {
+    throw new Error('OpenID configuration issuer mismatch');
+  }
+
+  discoveryCache.set(issuer, { document: response.data, fetchedAt: Date.now() });
+  return response.data;
+};
+
+// Fetch the provider's signing keys, refetching once when a kid is unknown
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+
+  const cached = jwksCache.get(jwksUri);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_TTL) {
+    const key = findKey(cached.keys);
+    if (key) {
+      return crypto.createPublicKey({ key, format: 'jwk' });
+    }
+  }
+
+  const response = await axios.get(jwksUri, { timeout: 10000 });
+  const keys = response.data.keys || [];
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+
+  const key = findKey(keys);
+  if (!key) {
+    throw new Error('ID token signed with unknown key');
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+// PKCE (RFC 7636) helpers
+const generateCodeVerifier = () => crypto.randomBytes(32).toString('base64url');
+
+const generateCodeChallenge = (codeVerifier) => {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+};
+
+// Build the URL the browser is sent to
+const buildAuthorizationUrl = async (providerName, { state, nonce, codeVerifier }) => {
+  const config = getProviderConfig(providerName);
+  const discovery = await getDiscoveryDocument(config.issuer);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scope,
+    state,
+    nonce,
+    code_challenge: generateCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return `${discovery.authorization_endpoint}?${params.toString()}`;
+};
+
+// Verify an ID token's signature and claims
+const verifyIdToken = async (providerName, idToken, expectedNonce) => {
+  const config = getProviderConfig(providerName);
+  const discovery = await getDiscoveryDocument(config.issuer);
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(discovery.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: config.issuer,
+      audience: config.clientId
+    });
+  } catch (error) {
+    throw new Error(`Invalid ID token: ${error.message}`);
+  }
+
+  if (!claims.nonce || claims.nonce !== expectedNonce) {
+    throw new Error('Invalid ID token nonce');
+  }
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.clientId) {
+    throw new Error('Invalid ID token authorized party');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+// Exchange an authorization code for tokens and return the verified identity
+const exchangeCode = async (providerName, { code, codeVerifier, nonce }) => {
+  const config = getProviderConfig(providerName);
+  const discovery = await getDiscoveryDocument(config.issuer);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (config.clientSecret) {
+    body.set('client_secret', config.clientSecret);
+  }
+
+  let response;
+  try {
+    response = await axios.post(discovery.token_endpoint, body.toString(), {
+      timeout: 10000,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+  } catch (error) {
+    const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+    throw new Error(`Authorization code exchange failed: ${reason}`);
+  }
+
+  if (!response.data.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  const claims = await verifyIdToken(providerName, response.data.id_token, nonce);
+
+  return {
+    provider: providerName,
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null
+  };
+};
+
+module.exports = {
+  getProviderConfig,
+  generateCodeVerifier,
+  buildAuthorizationUrl,
+  verifyIdToken,
+  exchangeCode
+};
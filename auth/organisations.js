@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const { readFileSync, existsSync } = require('fs');
+const { join } = require('path');
+const { writeFileAtomic, withFileLock } = require('../storage/files.js');
+const { findUserById, updateUser } = require('./auth.js');
+const { DEFAULT_PLAN, getPlan, getBillingPeriod, getBillingPeriodRollover } = require('./plans.js');
+
+const ORGANISATIONS_FILE = join(__dirname, '../data/organisations.json');
+const INVITATION_TTL_DAYS = 7;
+
+// Roles within an organisation (separate from platform roles in roles.js)
+const ORG_ROLES = ['owner', 'admin', 'member'];
+const INVITABLE_ROLES = ['admin', 'member'];
+
+// Helper functions for file operations. Every change reads and writes the
+// file under its lock, so workers sharing data/ do not lose each other's
+// updates (the shared quota pool in particular).
+const readOrganisations = () => {
+  if (!existsSync(ORGANISATIONS_FILE)) {
+    return [];
+  }
+  try {
+    return JSON.parse(readFileSync(ORGANISATIONS_FILE, 'utf8'));
+  } catch (error) {
+    console.error('Error reading organisations file:', error);
+    return [];
+  }
+};
+
+const writeOrganisations = (organisations) => {
+  try {
+    writeFileAtomic(ORGANISATIONS_FILE, JSON.stringify(organisations, null, 2));
+  } catch (error) {
+    console.error('Error writing organisations file:', error);
+    throw new Error('Failed to save organisation data');
+  }
+};
+
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Strip invitation token hashes before returning an organisation
+const toPublicOrganisation = (organisation) => ({
+  ...organisation,
+  invitations: organisation.invitations.map(({ tokenHash, ...invitation }) => invitation)
+});
+
+// Load an organisation for modification; returns the whole list so it can be written back
+const loadOrganisation = (organisationId) => {
+  const organisations = readOrganisations();
+  const organisation = organisations.find(org => org.id === organisationId);
+
+  if (!organisation) {
+    throw new Error('Organisation not found');
+  }
+
+  return { organisations, organisation };
+};
+
+const getMemberRole = (organisation, userId) => {
+  const member = organisation.members.find(m => m.userId === userId);
+  return member ? member.role : null;
+};
+
+const requireOrgRole = (organisation, userId, allowedRoles) => {
+  const role = getMemberRole(organisation, userId);
+  if (!role || !allowedRoles.includes(role)) {
+    throw new Error('Insufficient organisation privileges');
+  }
+  return role;
+};
+
+const findOrganisationById = (organisationId) => {
+  const organisation = readOrganisations().find(org => org.id === organisationId);
+  return organisation ? toPublicOrganisation(organisation) : null;
+};
+
+const createOrganisation = (ownerId, { name }) => withFileLock(ORGANISATIONS_FILE, () => {
+  const owner = findUserById(ownerId);
+  if (!owner) {
+    throw new Error('User not found');
+  }
+
+  if (owner.organisationId) {
+    throw new Error('You already belong to an organisation');
+  }
+
+  const organisations = readOrganisations();
+  const now = new Date().toISOString();
+  const billingPeriod = getBillingPeriod(now);
+  const plan = owner.plan || DEFAULT_PLAN;
+
+  // The owner's plan seeds the shared pool
+  const organisation = {
+    id: crypto.randomUUID(),
+    name,
+    ownerId,
+    plan,
+    searchLimit: getPlan(plan).monthlyQuota,
+    searchesUsed: 0,
+    billingPeriodStart: billingPeriod.start,
+    billingPeriodEnd: billingPeriod.end,
+    members: [{ userId: ownerId, role: 'owner', joinedAt: now }],
+    invitations: [],
+    createdAt: now
+  };
+
+  organisations.push(organisation);
+  writeOrganisations(organisations);
+  updateUser(ownerId, { organisationId: organisation.id });
+
+  return toPublicOrganisation(organisation);
+});
+
+const updateOrganisation = (organisationId, updates) => withFileLock(ORGANISATIONS_FILE, () => {
+  const { organisations, organisation } = loadOrganisation(organisationId);
+
+  Object.assign(organisation, updates);
+  writeOrganisations(organisations);
+
+  return toPublicOrganisation(organisation);
+});
+
+// Create an invitation; the plaintext token is only returned here, for emailing
+const inviteMember = (organisationId, inviterId, { email, role = 'member' }) => withFileLock(ORGANISATIONS_FILE, () => {
+  const { organisations, organisation } = loadOrganisation(organisationId);
+  const inviterRole = requireOrgRole(organisation, inviterId, ['owner', 'admin']);
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+  }
+
+  if (role === 'admin' && inviterRole !== 'owner') {
+    throw new Error('Only the owner can invite admins');
+  }
+
+  const isMember = organisation.members.some(m => {
+    const user = findUserById(m.userId);
+    return user && user.email === email;
+  });
+  if (isMember) {
+    throw new Error('This user is already a member');
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  // Re-inviting an address replaces its previous invitation
+  organisation.invitations = organisation.invitations.filter(i => i.email !== email);
+  const invitation = {
+    id: crypto.randomUUID(),
+    email,
+    role,
+    tokenHash: hashInvitationToken(token),
+    invitedBy: inviterId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+  organisation.invitations.push(invitation);
+  writeOrganisations(organisations);
+
+  const { tokenHash, ...publicInvitation } = invitation;
+  return { token, invitation: publicInvitation, organisation: toPublicOrganisation(organisation) };
+});
+
+const revokeInvitation = (organisationId, actorId, invitationId) => withFileLock(ORGANISATIONS_FILE, () => {
+  const { organisations, organisation } = loadOrganisation(organisationId);
+  requireOrgRole(organisation, actorId, ['owner', 'admin']);
+
+  const remaining = organisation.invitations.filter(i => i.id !== invitationId);
+  if (remaining.length === organisation.invitations.length) {
+    throw new Error('Invitation not found');
+  }
+
+  organisation.invitations = remaining;
+  writeOrganisations(organisations);
+});
+
+// Accept an invitation as the signed-in user; the invitation must be for their email
+const acceptInvitation = (token, userId) => withFileLock(ORGANISATIONS_FILE, () => {
+  const user = findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const organisations = readOrganisations();
+  const tokenHash = hashInvitationToken(token);
+  const organisation = organisations.find(org => org.invitations.some(i => i.tokenHash === tokenHash));
+  const invitation = organisation && organisation.invitations.find(i => i.tokenHash === tokenHash);
+
+  if (!invitation || new Date(invitation.expiresAt).getTime() < Date.now()) {
+    throw new Error('Invalid or expired invitation');
+  }
+
+  if (invitation.email !== user.email) {
+    throw new Error('This invitation was sent to a different email address');
+  }
+
+  if (user.organisationId) {
+    throw new Error('You already belong to an organisation');
+  }
+
+  organisation.invitations = organisation.invitations.filter(i => i !== invitation);
+  organisation.members.push({ userId, role: invitation.role, joinedAt: new Date().toISOString() });
+  writeOrganisations(organisations);
+  updateUser(userId, { organisationId: organisation.id });
+
+  return toPublicOrganisation(organisation);
+});
+
+const updateMemberRole = (organisationId, actorId, memberId, role) => withFileLock(ORGANISATIONS_FILE, () => {
+  const { organisations, organisation } = loadOrganisation(organisationId);
+  requireOrgRole(organisation, actorId, ['owner']);
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+  }
+
+  const member = organisation.members.find(m => m.userId === memberId);
+  if (!member) {
+    throw new Error('Member not found');
+  }
+
+  if (member.role === 'owner') {
+    throw new Error('The owner\'s role cannot be changed');
+  }
+
+  member.role = role;
+  writeOrganisations(organisations);
+
+  return toPublicOrganisation(organisation);
+});
+
+// Remove a member. Members may remove themselves (leave); admins may remove
+// members; the owner may remove anyone but themselves.
+const removeMember = (organisationId, actorId, memberId) => withFileLock(ORGANISATIONS_FILE, () => {
+  const { organisations, organisation } = loadOrganisation(organisationId);
+  const member = organisation.members.find(m => m.userId === memberId);
+
+  if (!member) {
+    throw new Error('Member not found');
+  }
+
+  if (member.role === 'owner') {
+    throw new Error('The owner cannot leave the organisation; delete it instead');
+  }
+
+  if (actorId !== memberId) {
+    const actorRole = requireOrgRole(organisation, actorId, ['owner', 'admin']);
+    if (actorRole === 'admin' && member.role !== 'member') {
+      throw new Error('Admins can only remove members');
+    }
+  }
+
+  organisation.members = organisation.members.filter(m => m.userId !== memberId);
+  writeOrganisations(organisations);
+  updateUser(memberId, { organisationId: null });
+
+  return toPublicOrganisation(organisation);
+});
+
+const deleteOrganisation = (organisationId, actorId) => withFileLock(ORGANISATIONS_FILE, () => {
+  const { organisations, organisation } = loadOrganisation(organisationId);
+
+  if (actorId !== null) {
+    requireOrgRole(organisation, actorId, ['owner']);
+  }
+
+  writeOrganisations(organisations.filter(org => org.id !== organisationId));
+  organisation.members.forEach(member => {
+    if (findUserById(member.userId)) {
+      updateUser(member.userId, { organisationId: null });
+    }
+  });
+});
+
+// Drop a user from whichever organisation they are in (account erasure).
+// An owner's organisation passes to its longest-standing admin, then member,
+// and is deleted if the owner was alone.
+const detachUser = (userId) => withFileLock(ORGANISATIONS_FILE, () => {
+  const organisations = readOrganisations();
+  const organisation = organisations.find(org => org.members.some(m => m.userId === userId));
+
+  if (!organisation) {
+    return;
+  }
+
+  const wasOwner = getMemberRole(organisation, userId) === 'owner';
+  organisation.members = organisation.members.filter(m => m.userId !== userId);
+
+  if (organisation.members.length === 0) {
+    writeOrganisations(organisations.filter(org => org !== organisation));
+    return;
+  }
+
+  if (wasOwner) {
+    const successor = organisation.members.find(m => m.role === 'admin') || organisation.members[0];
+    successor.role = 'owner';
+    organisation.ownerId = successor.userId;
+  }
+
+  writeOrganisations(organisations);
+});
+
+// Debit the shared quota pool unless that would take it past its limit;
+// returns the pool with `allowed` saying whether it was debited, or null if
+// the organisation no longer exists
+const debitOrganisationUsage = (organisationId, amount = 1) => withFileLock(ORGANISATIONS_FILE, () => {
+  const organisations = readOrganisations();
+  const organisation = organisations.find(org => org.id === organisationId);
+
+  if (!organisation) {
+    return null;
+  }
+
+  Object.assign(organisation, getBillingPeriodRollover(organisation));
+  const allowed = (organisation.searchesUsed || 0) + amount <= organisation.searchLimit;
+  if (allowed) {
+    organisation.searchesUsed = (organisation.searchesUsed || 0) + amount;
+    organisation.lastSearchAt = new Date().toISOString();
+  }
+  writeOrganisations(organisations);
+
+  return {
+    allowed,
+    organisationId: organisation.id,
+    plan: organisation.plan,
+    searchesUsed: organisation.searchesUsed,
+    searchLimit: organisation.searchLimit,
+    billingPeriodEnd: organisation.billingPeriodEnd
+  };
+});
+
+const listOrganisations = () => readOrganisations().map(toPublicOrganisation);
+
+module.exports = {
+  ORG_ROLES,
+  INVITABLE_ROLES,
+  getMemberRole,
+  findOrganisationById,
+  listOrganisations,
+  createOrganisation,
+  updateOrganisation,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  deleteOrganisation,
+  detachUser,
+  debitOrganisationUsage
+};
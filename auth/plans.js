@@ -0,0 +1,96 @@
+// Plan catalogue: what each billing plan is entitled to. Quotas reset at the
+// start of every monthly billing period, anchored on the day the account
+// (or organisation) was created.
+
+const PLAN_CATALOGUE = {
+  free: {
+    level: 0,
+    monthlyQuota: 10,
+    maxResultLimit: 20,
+    exportFormats: ['json'],
+    proxyAccess: false
+  },
+  pro: {
+    level: 1,
+    monthlyQuota: 500,
+    maxResultLimit: 100,
+    exportFormats: ['json', 'csv'],
+    proxyAccess: false
+  },
+  business: {
+    level: 2,
+    monthlyQuota: 5000,
+    maxResultLimit: 200,
+    exportFormats: ['json', 'csv'],
+    proxyAccess: true
+  },
+  enterprise: {
+    level: 3,
+    monthlyQuota: 50000,
+    maxResultLimit: 500,
+    exportFormats: ['json', 'csv'],
+    proxyAccess: true
+  }
+};
+
+const PLAN_NAMES = Object.keys(PLAN_CATALOGUE);
+const DEFAULT_PLAN = 'free';
+
+const getPlan = (planName) => {
+  const name = PLAN_CATALOGUE[planName] ? planName : DEFAULT_PLAN;
+  return { name, ...PLAN_CATALOGUE[name] };
+};
+
+// Add calendar months, clamping to the end of shorter months (31 Jan + 1 month = 28/29 Feb)
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+};
+
+// The billing period containing `now` for a given anchor date
+const getBillingPeriod = (anchor, now = new Date()) => {
+  const anchorDate = new Date(anchor);
+  let months = (now.getUTCFullYear() - anchorDate.getUTCFullYear()) * 12 +
+    (now.getUTCMonth() - anchorDate.getUTCMonth());
+
+  let start = addMonths(anchorDate, months);
+  if (start > now) {
+    months -= 1;
+    start = addMonths(anchorDate, months);
+  }
+
+  return {
+    start: start.toISOString(),
+    end: addMonths(anchorDate, months + 1).toISOString()
+  };
+};
+
+// Updates needed to move a user or organisation record into the current
+// billing period, or null if it is already current
+const getBillingPeriodRollover = (record, now = new Date()) => {
+  if (record.billingPeriodEnd && new Date(record.billingPeriodEnd) > now) {
+    return null;
+  }
+
+  const period = getBillingPeriod(record.billingAnchor || record.createdAt || now, now);
+
+  return {
+    searchesUsed: 0,
+    billingPeriodStart: period.start,
+    billingPeriodEnd: period.end
+  };
+};
+
+module.exports = {
+  PLAN_CATALOGUE,
+  PLAN_NAMES,
+  DEFAULT_PLAN,
+  getPlan,
+  getBillingPeriod,
+  getBillingPeriodRollover
+};
@@ -0,0 +1,47 @@
+// Role-based access control. Roles are independent of billing plans:
+// paying for a plan never grants administrative permissions.
+
+const PERMISSIONS = {
+  SEARCH_INDEX_REBUILD: 'search:index:rebuild',
+  CACHE_REFRESH: 'cache:refresh',
+  CACHE_CLEAR: 'cache:clear',
+  CACHE_INSPECT: 'cache:inspect',
+  DATA_PROXY: 'data:proxy',
+  USERS_MANAGE: 'users:manage',
+  SIGNING_KEYS_MANAGE: 'signing-keys:manage',
+  BACKUPS_CREATE: 'backups:create'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  analyst: [
+    PERMISSIONS.CACHE_REFRESH,
+    PERMISSIONS.CACHE_INSPECT,
+    PERMISSIONS.DATA_PROXY
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const DEFAULT_ROLE = 'user';
+
+// Effective permissions: the role's permissions plus any granted directly on the user record
+const getPermissions = (user) => {
+  const role = user && ROLE_PERMISSIONS[user.role] ? user.role : DEFAULT_ROLE;
+  const extraPermissions = (user && Array.isArray(user.permissions)) ? user.permissions : [];
+
+  return [...new Set([...ROLE_PERMISSIONS[role], ...extraPermissions])];
+};
+
+const hasPermission = (user, permission) => {
+  return getPermissions(user).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,279 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { readFileSync, existsSync, mkdirSync, statSync } = require('fs');
+const { join, dirname } = require('path');
+const { writeFileAtomic, withFileLock } = require('../storage/files.js');
+
+// Asymmetric JWT signing keys. Every token carries the `kid` of the key that
+// signed it, and the public half of each key is published as a JWKS so other
+// services can verify our tokens without a shared secret.
+//
+// Keys rotate every JWT_KEY_ROTATION_DAYS. The next key is generated and
+// published JWT_KEY_PUBLISH_AHEAD_HOURS before it starts signing, so verifiers
+// with a cached key set pick it up in time. A key that has been superseded
+// keeps verifying for JWT_KEY_GRACE_DAYS, which must outlast the longest-lived
+// token it may have signed.
+
+const SIGNING_KEYS_FILE = process.env.JWT_SIGNING_KEYS_FILE || join(__dirname, '../data/signing-keys.json');
+const SIGNING_ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+const ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30;
+const GRACE_DAYS = parseInt(process.env.JWT_KEY_GRACE_DAYS) || 14;
+const PUBLISH_AHEAD_HOURS = parseInt(process.env.JWT_KEY_PUBLISH_AHEAD_HOURS) || 24;
+const JWT_ISSUER = process.env.JWT_ISSUER || 'opengovdatahub';
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const KEY_RELOAD_INTERVAL = 5 * 1000; // how often to look for keys written by another process
+const KEY_MAINTENANCE_INTERVAL = 60 * 1000; // how often signing checks whether rotation is due
+
+if (!SUPPORTED_ALGORITHMS.includes(SIGNING_ALGORITHM)) {
+  throw new Error(`JWT_ALGORITHM must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+}
+
+// The key set is kept in memory and reloaded when the file's modification
+// time changes (checked at most every KEY_RELOAD_INTERVAL, or on demand), so
+// keys rotated by another process are picked up without parsing per request
+const keyCache = { keys: null, mtimeMs: null, checkedAt: 0 };
+let maintainedAt = 0;
+
+const getFileMtime = () => (existsSync(SIGNING_KEYS_FILE) ? statSync(SIGNING_KEYS_FILE).mtimeMs : null);
+
+// Helper functions for file operations
+const loadSigningKeys = () => {
+  if (!existsSync(SIGNING_KEYS_FILE)) {
+    return [];
+  }
+  try {
+    return JSON.parse(readFileSync(SIGNING_KEYS_FILE, 'utf8'));
+  } catch (error) {
+    console.error('Error reading signing keys file:', error);
+    return [];
+  }
+};
+
+// The returned array is shared; copy it before changing it
+const readSigningKeys = ({ recheck = false } = {}) => {
+  const now = Date.now();
+  if (keyCache.keys && !recheck && now - keyCache.checkedAt < KEY_RELOAD_INTERVAL) {
+    return keyCache.keys;
+  }
+
+  const mtimeMs = getFileMtime();
+  if (!keyCache.keys || mtimeMs !== keyCache.mtimeMs) {
+    keyCache.keys = loadSigningKeys();
+    keyCache.mtimeMs = mtimeMs;
+  }
+  keyCache.checkedAt = now;
+
+  return keyCache.keys;
+};
+
+const writeSigningKeys = (keys) => {
+  try {
+    // Private keys: readable by the server's user only
+    writeFileAtomic(SIGNING_KEYS_FILE, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    Object.assign(keyCache, { keys, mtimeMs: getFileMtime(), checkedAt: Date.now() });
+  } catch (error) {
+    console.error('Error writing signing keys file:', error);
+    throw new Error('Failed to save signing keys');
+  }
+};
+
+// Changes to the key set re-read the file under its lock, so two processes
+// rotating at the same moment do not each publish a different next key. The
+// lock file lives beside the keys, so their directory must exist first.
+const withSigningKeysLock = (fn) => {
+  mkdirSync(dirname(SIGNING_KEYS_FILE), { recursive: true });
+  return withFileLock(SIGNING_KEYS_FILE, fn);
+};
+
+const generateKeyPair = (alg) => {
+  const { privateKey, publicKey } = alg === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+};
+
+const createKey = (activatesAt) => ({
+  kid: crypto.randomBytes(12).toString('base64url'),
+  alg: SIGNING_ALGORITHM,
+  ...generateKeyPair(SIGNING_ALGORITHM),
+  createdAt: new Date().toISOString(),
+  activatesAt: new Date(activatesAt).toISOString(),
+  revokedAt: null
+});
+
+// Keys ordered by activation, each annotated with when it was superseded
+const withLifecycle = (keys) => {
+  const sorted = [...keys].sort((a, b) => new Date(a.activatesAt) - new Date(b.activatesAt));
+  const now = Date.now();
+
+  return sorted.map((key, index) => {
+    const successor = sorted.slice(index + 1).find(k => !k.revokedAt && new Date(k.activatesAt).getTime() <= now);
+    return {
+      ...key,
+      supersededAt: successor ? successor.activatesAt : null
+    };
+  });
+};
+
+const canVerify = (key, now = Date.now()) => {
+  if (key.revokedAt) {
+    return false;
+  }
+  return !key.supersededAt || new Date(key.supersededAt).getTime() + GRACE_DAYS * DAY > now;
+};
+
+// Generate the first key, pre-publish the next one when rotation is due, and
+// drop keys that can no longer verify anything. Returns the current key set.
+const ensureSigningKeys = () => withSigningKeysLock(() => {
+  const now = Date.now();
+  let keys = [...readSigningKeys({ recheck: true })];
+  let changed = false;
+  maintainedAt = now;
+
+  if (!keys.some(key => !key.revokedAt && new Date(key.activatesAt).getTime() <= now)) {
+    keys.push(createKey(now));
+    changed = true;
+  }
+
+  const live = keys.filter(key => !key.revokedAt);
+  const newest = live.reduce((a, b) => (new Date(a.activatesAt) > new Date(b.activatesAt) ? a : b));
+  const nextRotation = new Date(newest.activatesAt).getTime() + ROTATION_DAYS * DAY;
+
+  if (now >= nextRotation - PUBLISH_AHEAD_HOURS * HOUR) {
+    keys.push(createKey(Math.max(nextRotation, now)));
+    changed = true;
+  }
+
+  const annotated = withLifecycle(keys);
+  const retained = annotated.filter(key => canVerify(key, now) || (key.revokedAt && new Date(key.revokedAt).getTime() + GRACE_DAYS * DAY > now));
+  if (retained.length !== keys.length) {
+    changed = true;
+  }
+
+  if (changed) {
+    keys = retained.map(({ supersededAt, ...key }) => key);
+    writeSigningKeys(keys);
+  }
+
+  return withLifecycle(keys);
+});
+
+// The key set from memory, with rotation checked at most once a minute; a
+// pre-published key is ready a day ahead, so that is soon enough
+const getSigningKeys = () => {
+  return Date.now() - maintainedAt >= KEY_MAINTENANCE_INTERVAL ? ensureSigningKeys() : withLifecycle(readSigningKeys());
+};
+
+// The key new tokens are signed with: the most recently activated live key
+const getActiveKey = () => {
+  const keys = getSigningKeys();
+  // Read after maintenance, which may have just created the first key
+  const now = Date.now();
+  const active = keys
+    .filter(key => !key.revokedAt && new Date(key.activatesAt).getTime() <= now)
+    .pop();
+
+  if (!active) {
+    throw new Error('No active signing key');
+  }
+
+  return active;
+};
+
+const signJwt = (payload, options = {}) => {
+  const key = getActiveKey();
+  return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid, issuer: JWT_ISSUER });
+};
+
+// Verify against the key named in the token header. Tokens without a `kid`,
+// or signed by a key that is unknown, revoked or past its grace period, fail.
+const verifyJwt = (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw new Error('Invalid token');
+  }
+
+  // An unknown kid may be a key another process has just added
+  const findKey = (keys) => withLifecycle(keys).find(k => k.kid === decoded.header.kid);
+  const key = findKey(readSigningKeys()) || findKey(readSigningKeys({ recheck: true }));
+  if (!key || !canVerify(key)) {
+    throw new Error('Invalid token');
+  }
+
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg], issuer: JWT_ISSUER });
+};
+
+// Public keys for /.well-known/jwks.json: the active key, keys still in their
+// grace period and the pre-published next key
+const getJwks = () => {
+  const keys = getSigningKeys().filter(key => canVerify(key));
+
+  return {
+    keys: keys.map(key => ({
+      ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+};
+
+// Key metadata for administrators (never the private keys)
+const listSigningKeys = () => {
+  const now = Date.now();
+  const activeKid = getActiveKey().kid;
+
+  return ensureSigningKeys().map(key => {
+    let status = 'retired';
+    if (key.revokedAt) status = 'revoked';
+    else if (key.kid === activeKid) status = 'active';
+    else if (new Date(key.activatesAt).getTime() > now) status = 'pending';
+    else if (canVerify(key, now)) status = 'grace';
+
+    return {
+      kid: key.kid,
+      alg: key.alg,
+      status,
+      createdAt: key.createdAt,
+      activatesAt: key.activatesAt,
+      supersededAt: key.supersededAt,
+      verifiesUntil: key.supersededAt ? new Date(new Date(key.supersededAt).getTime() + GRACE_DAYS * DAY).toISOString() : null,
+      revokedAt: key.revokedAt
+    };
+  });
+};
+
+// Start signing with a new key immediately. The previous keys keep verifying
+// for the grace period unless `revokePrevious` is set (e.g. after a key leak),
+// in which case every token they signed stops working at once.
+const rotateSigningKeys = ({ revokePrevious = false } = {}) => withSigningKeysLock(() => {
+  const now = Date.now();
+  const keys = readSigningKeys({ recheck: true })
+    .filter(key => key.revokedAt || new Date(key.activatesAt).getTime() <= now) // drop a pre-published key
+    .map(key => (revokePrevious && !key.revokedAt ? { ...key, revokedAt: new Date(now).toISOString() } : key));
+
+  const key = createKey(now);
+  keys.push(key);
+  writeSigningKeys(keys);
+
+  return key.kid;
+});
+
+module.exports = {
+  SIGNING_ALGORITHM,
+  JWT_ISSUER,
+  signJwt,
+  verifyJwt,
+  getJwks,
+  listSigningKeys,
+  rotateSigningKeys
+};
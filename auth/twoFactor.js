@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { findUserById, updateUser } = require('./auth.js');
+
+// RFC 6238 parameters (the defaults every authenticator app supports)
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either side
+const ISSUER = process.env.TOTP_ISSUER || 'OpenGov DataHub';
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32, as used in otpauth:// URIs
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226) for a given counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentTimeStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+const generateTotp = (secret, timeStep = currentTimeStep()) => generateHotp(secret, timeStep);
+
+// Returns the matching time step, or null. Steps at or before lastUsedStep
+// are rejected so a code cannot be replayed within its validity window.
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalizedCode = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const step = currentTimeStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidateStep = step + drift;
+    if (lastUsedStep !== null && candidateStep <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateTotp(secret, candidateStep);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return candidateStep;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes are shown once and stored hashed
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+const getUserOrThrow = (userId) => {
+  const user = findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  return user;
+};
+
+// Account-level 2FA functions
+const isTwoFactorEnabled = (user) => Boolean(user && user.twoFactor && user.twoFactor.enabled);
+
+// Start enrolment: store a pending secret until the user proves they can generate codes
+const beginTwoFactorSetup = (userId) => {
+  const user = getUserOrThrow(userId);
+
+  if (isTwoFactorEnabled(user)) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  updateUser(userId, {
+    twoFactor: {
+      enabled: false,
+      pendingSecret: secret,
+      pendingCreatedAt: new Date().toISOString()
+    }
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email)
+  };
+};
+
+const enableTwoFactor = (userId, code) => {
+  const user = getUserOrThrow(userId);
+  const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+
+  if (isTwoFactorEnabled(user)) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  if (!pendingSecret) {
+    throw new Error('Two-factor setup has not been started');
+  }
+
+  const step = verifyTotp(pendingSecret, code);
+  if (step === null) {
+    throw new Error('Invalid verification code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  updateUser(userId, {
+    twoFactor: {
+      enabled: true,
+      secret: pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      enabledAt: new Date().toISOString()
+    }
+  });
+
+  return recoveryCodes;
+};
+
+const disableTwoFactor = (userId) => {
+  getUserOrThrow(userId);
+  updateUser(userId, { twoFactor: { enabled: false } });
+};
+
+const regenerateRecoveryCodes = (userId) => {
+  const user = getUserOrThrow(userId);
+
+  if (!isTwoFactorEnabled(user)) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  updateUser(userId, {
+    twoFactor: { ...user.twoFactor, recoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+  });
+
+  return recoveryCodes;
+};
+
+// Check a second factor: a TOTP code, or a one-time recovery code which is consumed.
+// Returns the method used, or null when neither matches.
+const verifySecondFactor = (userId, { code, recoveryCode }) => {
+  const user = getUserOrThrow(userId);
+
+  if (!isTwoFactorEnabled(user)) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? null);
+    if (step === null) {
+      return null;
+    }
+    updateUser(userId, { twoFactor: { ...user.twoFactor, lastUsedStep: step } });
+    return { method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const remainingCodes = (user.twoFactor.recoveryCodes || []).filter(hash => hash !== codeHash);
+    if (remainingCodes.length === (user.twoFactor.recoveryCodes || []).length) {
+      return null;
+    }
+    updateUser(userId, { twoFactor: { ...user.twoFactor, recoveryCodes: remainingCodes } });
+    return { method: 'recovery-code', remainingRecoveryCodes: remainingCodes.length };
+  }
+
+  return null;
+};
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  isTwoFactorEnabled,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+};
@@ -0,0 +1,285 @@
+const { readFileSync, appendFileSync, existsSync, unlinkSync } = require('fs');
+const { join } = require('path');
+const { writeFileAtomic, withFileLock } = require('../storage/files.js');
+const { updateUser } = require('./auth.js');
+const { findOrganisationById, debitOrganisationUsage } = require('./organisations.js');
+const { getBillingPeriodRollover } = require('./plans.js');
+
+// Usage events are appended one JSON object per line, so recording a request
+// never rewrites the history. Events older than USAGE_RETENTION_DAYS are
+// pruned by a daily job. Releases before this kept a JSON array in
+// usage-events.json; it is read alongside and folded in by the first prune.
+const USAGE_FILE = join(__dirname, '../data/usage-events.jsonl');
+const LEGACY_USAGE_FILE = join(__dirname, '../data/usage-events.json');
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS) || 400; // ~13 months
+
+const DAY = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL = DAY;
+
+// Helper functions for file operations
+const readLegacyUsageEvents = () => {
+  if (!existsSync(LEGACY_USAGE_FILE)) {
+    return [];
+  }
+  try {
+    return JSON.parse(readFileSync(LEGACY_USAGE_FILE, 'utf8'));
+  } catch (error) {
+    console.error('Error reading usage file:', error);
+    return [];
+  }
+};
+
+// A line cut short by a crash mid-append is skipped
+const readUsageEvents = () => {
+  const events = readLegacyUsageEvents();
+  if (!existsSync(USAGE_FILE)) {
+    return events;
+  }
+
+  readFileSync(USAGE_FILE, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .forEach(line => {
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        console.error('Skipping unreadable usage event:', error.message);
+      }
+    });
+
+  return events;
+};
+
+// Rewrite the whole log (pruning, erasure) under the lock appends also take
+const rewriteUsageEvents = (update) => {
+  try {
+    withFileLock(USAGE_FILE, () => {
+      const events = update(readUsageEvents());
+      writeFileAtomic(USAGE_FILE, events.map(event => JSON.stringify(event) + '\n').join(''));
+      if (existsSync(LEGACY_USAGE_FILE)) {
+        unlinkSync(LEGACY_USAGE_FILE);
+      }
+    });
+  } catch (error) {
+    console.error('Error writing usage file:', error);
+    throw new Error('Failed to save usage data');
+  }
+};
+
+// Record one metered request
+const recordUsageEvent = ({ userId, organisationId = null, endpoint, queryType = null, resultCount = null, statusCode = null, apiKeyId = null }) => {
+  const event = {
+    userId,
+    organisationId,
+    endpoint,
+    queryType,
+    resultCount,
+    statusCode,
+    apiKeyId,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    withFileLock(USAGE_FILE, () => appendFileSync(USAGE_FILE, JSON.stringify(event) + '\n'));
+  } catch (error) {
+    console.error('Error writing usage file:', error);
+    throw new Error('Failed to save usage data');
+  }
+};
+
+// Drop events past the retention period; returns the number dropped
+const pruneUsageEvents = () => {
+  const cutoff = Date.now() - USAGE_RETENTION_DAYS * DAY;
+  let pruned = 0;
+
+  rewriteUsageEvents(events => {
+    const kept = events.filter(event => new Date(event.timestamp).getTime() > cutoff);
+    pruned = events.length - kept.length;
+    return kept;
+  });
+
+  return pruned;
+};
+
+const startUsagePruneScheduler = () => {
+  const prune = () => {
+    try {
+      pruneUsageEvents();
+    } catch (error) {
+      console.error('Usage prune error:', error);
+    }
+  };
+
+  prune();
+  const timer = setInterval(prune, PRUNE_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+// Record a metered request once its response has been sent. Handlers report
+// how many results they returned via res.locals.resultCount.
+const recordUsageOnFinish = (req, res) => {
+  res.on('finish', () => {
+    try {
+      recordUsageEvent({
+        userId: req.user.id,
+        organisationId: req.user.organisationId || null,
+        endpoint: `${req.baseUrl}${req.route ? req.route.path : req.path}`,
+        queryType: req.query.type || null,
+        resultCount: res.locals.resultCount !== undefined ? res.locals.resultCount : null,
+        statusCode: res.statusCode,
+        apiKeyId: req.apiKey ? req.apiKey.id : null
+      });
+    } catch (error) {
+      console.error('Usage recording error:', error);
+    }
+  });
+};
+
+// Count one request against the allowance a user draws on: their
+// organisation's shared pool if they belong to one, otherwise their own. The
+// limit is checked and the count raised in one locked step, after moving into
+// a new billing period if one has begun, so concurrent requests cannot overrun
+// the limit and a rejected request is not counted. Returns `allowed`, the
+// user as stored now, and the allowance after this request.
+const debitSearchQuota = (user) => {
+  const lastSearchAt = new Date().toISOString();
+  const pool = user.organisationId ? debitOrganisationUsage(user.organisationId) : null;
+
+  if (pool) {
+    return {
+      allowed: pool.allowed,
+      user: pool.allowed ? updateUser(user.id, { lastSearchAt }) : user,
+      quota: {
+        plan: pool.plan,
+        searchesUsed: pool.searchesUsed,
+        searchLimit: pool.searchLimit,
+        billingPeriodEnd: pool.billingPeriodEnd,
+        organisationId: pool.organisationId
+      }
+    };
+  }
+
+  let allowed = false;
+  const updatedUser = updateUser(user.id, (current) => {
+    const rollover = getBillingPeriodRollover(current);
+    const searchesUsed = ((rollover || current).searchesUsed || 0) + 1;
+
+    allowed = searchesUsed <= current.searchLimit;
+    return allowed ? { ...rollover, searchesUsed, lastSearchAt } : rollover;
+  });
+
+  return {
+    allowed,
+    user: updatedUser,
+    quota: {
+      plan: updatedUser.plan,
+      searchesUsed: updatedUser.searchesUsed,
+      searchLimit: updatedUser.searchLimit,
+      billingPeriodEnd: updatedUser.billingPeriodEnd,
+      organisationId: null
+    }
+  };
+};
+
+const findUsageEventsByUserId = (userId) => {
+  return readUsageEvents().filter(event => event.userId === userId);
+};
+
+const deleteUsageEventsForUser = (userId) => {
+  rewriteUsageEvents(events => events.filter(event => event.userId !== userId));
+};
+
+// Group events into buckets keyed by the given timestamp prefix length
+// (10 = YYYY-MM-DD, 7 = YYYY-MM)
+const groupEvents = (events, keyLength) => {
+  const buckets = new Map();
+
+  events.forEach(event => {
+    const key = event.timestamp.substring(0, keyLength);
+    const bucket = buckets.get(key) || { period: key, requests: 0, results: 0, byEndpoint: {}, byQueryType: {} };
+
+    bucket.requests++;
+    bucket.results += event.resultCount || 0;
+    bucket.byEndpoint[event.endpoint] = (bucket.byEndpoint[event.endpoint] || 0) + 1;
+    const queryType = event.queryType || 'all';
+    bucket.byQueryType[queryType] = (bucket.byQueryType[queryType] || 0) + 1;
+
+    buckets.set(key, bucket);
+  });
+
+  return Array.from(buckets.values()).sort((a, b) => a.period.localeCompare(b.period));
+};
+
+// Project when the quota will run out at the current period's rate of use
+const projectLimit = ({ searchesUsed, searchLimit, billingPeriodStart, billingPeriodEnd }) => {
+  const now = Date.now();
+  const remaining = Math.max(searchLimit - searchesUsed, 0);
+
+  if (remaining === 0) {
+    return { remaining, dailyRate: null, projectedLimitReachedAt: new Date(now).toISOString(), willReachLimitThisPeriod: true };
+  }
+
+  const periodStart = billingPeriodStart ? new Date(billingPeriodStart).getTime() : now;
+  const daysElapsed = Math.max((now - periodStart) / DAY, 1);
+  const dailyRate = searchesUsed / daysElapsed;
+
+  if (dailyRate === 0) {
+    return { remaining, dailyRate: 0, projectedLimitReachedAt: null, willReachLimitThisPeriod: false };
+  }
+
+  const projectedLimitReachedAt = new Date(now + (remaining / dailyRate) * DAY);
+
+  return {
+    remaining,
+    dailyRate: Math.round(dailyRate * 100) / 100,
+    projectedLimitReachedAt: projectedLimitReachedAt.toISOString(),
+    willReachLimitThisPeriod: billingPeriodEnd ? projectedLimitReachedAt < new Date(billingPeriodEnd) : true
+  };
+};
+
+// The allowance a user draws on: their organisation's shared pool if they
+// belong to one, otherwise their own. A lapsed billing period counts as reset.
+const getQuota = (user) => {
+  const organisation = user.organisationId ? findOrganisationById(user.organisationId) : null;
+  const record = organisation || user;
+  const current = { ...record, ...getBillingPeriodRollover(record) };
+
+  return {
+    plan: current.plan,
+    searchesUsed: current.searchesUsed || 0,
+    searchLimit: current.searchLimit,
+    billingPeriodStart: current.billingPeriodStart || null,
+    billingPeriodEnd: current.billingPeriodEnd || null,
+    organisationId: organisation ? organisation.id : null
+  };
+};
+
+// Daily (last N days) and monthly (last N months) breakdowns plus a projection
+const getUsageSummary = (user, { days = 30, months = 12 } = {}) => {
+  const now = new Date();
+  const events = findUsageEventsByUserId(user.id);
+  const quota = getQuota(user);
+
+  const dailySince = now.getTime() - days * DAY;
+  const monthlySince = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1)).getTime();
+
+  return {
+    quota,
+    projection: projectLimit(quota),
+    daily: groupEvents(events.filter(event => new Date(event.timestamp).getTime() >= dailySince), 10),
+    monthly: groupEvents(events.filter(event => new Date(event.timestamp).getTime() >= monthlySince), 7),
+    totalRequests: events.length
+  };
+};
+
+module.exports = {
+  recordUsageEvent,
+  recordUsageOnFinish,
+  debitSearchQuota,
+  findUsageEventsByUserId,
+  deleteUsageEventsForUser,
+  pruneUsageEvents,
+  startUsagePruneScheduler,
+  getUsageSummary
+};
@@ -0,0 +1,50 @@
+// Rough device description from a User-Agent header, for showing users where
+// they are signed in. Not for security decisions: the header is client-supplied.
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+  ['curl', /curl\/([\d.]+)/],
+  ['Node.js', /node(?:-fetch)?\/?([\d.]*)/i]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return { browser: null, os: null, type: 'unknown', label: 'Unknown device' };
+  }
+
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const osMatch = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(userAgent)) type = 'tablet';
+  else if (/Mobi|iPhone|Android/.test(userAgent)) type = 'mobile';
+  else if (!osMatch) type = 'other';
+
+  const browser = browserMatch ? browserMatch[0] : null;
+  const os = osMatch ? osMatch[0] : null;
+
+  return {
+    browser,
+    os,
+    type,
+    label: [browser, os].filter(Boolean).join(' on ') || 'Unknown device'
+  };
+};
+
+module.exports = {
+  describeDevice
+};
@@ -1,13 +1,19 @@
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const path = require('path');
+const { signJwt, verifyJwt, getJwks } = require('./auth/signingKeys.js');
+
+// The signing keys are shared with index.js, so tokens are bound to this
+// server by audience and type; reset, magic-link and other tokens issued
+// there are rejected here
+const TOKEN_AUDIENCE = 'complete-backend';
+
+const signAccessToken = (userId) => signJwt({ userId, type: 'access' }, { expiresIn: '7d', audience: TOKEN_AUDIENCE });
 
 const app = express();
 const PORT = process.env.PORT || process.env.LISTEN_PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'opengovdatahub-super-secure-jwt-2024';
 
 // Middleware
 app.use(cors({
@@ -48,13 +54,16 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+  try {
+    const decoded = verifyJwt(token, { audience: TOKEN_AUDIENCE });
+    if (decoded.type !== 'access') {
+      throw new Error('Invalid token type');
     }
-    req.user = user;
+    req.user = decoded;
     next();
-  });
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
 };
 
 // Routes
@@ -83,6 +92,12 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Public keys for verifying the tokens issued here
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
 // Auth routes
 app.post('/api/auth/register', async (req, res) => {
   try {
@@ -119,7 +134,7 @@ app.post('/api/auth/register', async (req, res) => {
     writeUsers(users);
 
     // Generate token
-    const token = jwt.sign({ userId: newUser.id }, JWT_SECRET, { expiresIn: '7d' });
+    const token = signAccessToken(newUser.id);
 
     // Return user without password
     const { password: _, ...userWithoutPassword } = newUser;
@@ -157,7 +172,7 @@ app.post('/api/auth/login', async (req, res) => {
     }
 
     // Generate token
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    const token = signAccessToken(user.id);
 
     // Update last login
     user.lastLoginAt = new Date().toISOString();
@@ -37,6 +37,14 @@ const createTransporter = () => {
 
 const transporter = createTransporter();
 
+// Escape user-supplied values before putting them into HTML templates
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Email templates
 const getVerificationEmailTemplate = (verificationToken) => {
   const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
@@ -132,6 +140,247 @@ const getPasswordResetEmailTemplate = (resetToken) => {
   };
 };
 
+const getMagicLinkEmailTemplate = (magicLinkToken) => {
+  const magicLinkUrl = `${process.env.FRONTEND_URL}/magic-link?token=${magicLinkToken}`;
+  
+  return {
+    subject: 'Your Sign-in Link - OpenGov DataHub',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #2c3e50; margin: 0;">OpenGov DataHub</h1>
+          <p style="color: #7f8c8d; margin: 5px 0;">UK Government Data Search Platform</p>
+        </div>
+        
+        <div style="padding: 30px 20px; background-color: white;">
+          <h2 style="color: #2c3e50; margin-bottom: 20px;">Sign in to OpenGov DataHub</h2>
+          
+          <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
+            Click the button below to sign in to your account. No password needed.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${magicLinkUrl}" 
+               style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+              Sign In
+            </a>
+          </div>
+          
+          <p style="color: #777; font-size: 14px; margin-top: 30px;">
+            If the button above doesn't work, copy and paste this link into your browser:
+          </p>
+          <p style="color: #3498db; font-size: 14px; word-break: break-all;">
+            ${magicLinkUrl}
+          </p>
+          
+          <p style="color: #777; font-size: 14px; margin-top: 30px;">
+            This link will expire in 15 minutes and can only be used once. If you didn't request it, please ignore this email.
+          </p>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #777; font-size: 12px;">
+          <p>OpenGov DataHub - Your gateway to UK government data</p>
+          <p>© 2024 OpenGov DataHub. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  };
+};
+
+const getOrganisationInvitationEmailTemplate = ({ organisationName: rawOrganisationName, inviterName: rawInviterName, token }) => {
+  const invitationUrl = `${process.env.FRONTEND_URL}/organisations/accept?token=${token}`;
+  const organisationName = escapeHtml(rawOrganisationName);
+  const inviterName = escapeHtml(rawInviterName);
+  
+  return {
+    subject: `You've been invited to join ${rawOrganisationName} - OpenGov DataHub`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #2c3e50; margin: 0;">OpenGov DataHub</h1>
+          <p style="color: #7f8c8d; margin: 5px 0;">UK Government Data Search Platform</p>
+        </div>
+        
+        <div style="padding: 30px 20px; background-color: white;">
+          <h2 style="color: #2c3e50; margin-bottom: 20px;">Join ${organisationName}</h2>
+          
+          <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
+            ${inviterName} has invited you to join <strong>${organisationName}</strong> on OpenGov DataHub. Members share the organisation's search allowance.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${invitationUrl}" 
+               style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+              Accept Invitation
+            </a>
+          </div>
+          
+          <p style="color: #777; font-size: 14px; margin-top: 30px;">
+            If the button above doesn't work, copy and paste this link into your browser:
+          </p>
+          <p style="color: #3498db; font-size: 14px; word-break: break-all;">
+            ${invitationUrl}
+          </p>
+          
+          <p style="color: #777; font-size: 14px; margin-top: 30px;">
+            You will need to sign in (or register) with this email address to accept. This invitation will expire in 7 days.
+          </p>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #777; font-size: 12px;">
+          <p>OpenGov DataHub - Your gateway to UK government data</p>
+          <p>© 2024 OpenGov DataHub. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  };
+};
+
+const getAccountLockedEmailTemplate = (lockedUntil) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+  const unlockTime = new Date(lockedUntil).toUTCString();
+  
+  return {
+    subject: 'Account Temporarily Locked - OpenGov DataHub',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #2c3e50; margin: 0;">OpenGov DataHub</h1>
+          <p style="color: #7f8c8d; margin: 5px 0;">UK Government Data Search Platform</p>
+        </div>
+        
+        <div style="padding: 30px 20px; background-color: white;">
+          <h2 style="color: #2c3e50; margin-bottom: 20px;">Your Account Has Been Locked</h2>
+          
+          <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
+            We detected too many failed sign-in attempts on your OpenGov DataHub account, so we have temporarily locked it to protect your data.
+          </p>
+          
+          <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
+            You will be able to sign in again after <strong>${unlockTime}</strong>.
+          </p>
+          
+          <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
+            If these attempts were not made by you, someone may be trying to guess your password. We recommend resetting it.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${resetUrl}" 
+               style="background-color: #e74c3c; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+              Reset Password
+            </a>
+          </div>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #777; font-size: 12px;">
+          <p>OpenGov DataHub - Your gateway to UK government data</p>
+          <p>© 2024 OpenGov DataHub. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  };
+};
+
+const getEmailChangeConfirmationEmailTemplate = (confirmationToken) => {
+  const confirmationUrl = `${process.env.FRONTEND_URL}/confirm-email-change?token=${confirmationToken}`;
+  
+  return {
+    subject: 'Confirm Your New Email Address - OpenGov DataHub',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #2c3e50; margin: 0;">OpenGov DataHub</h1>
+          <p style="color: #7f8c8d; margin: 5px 0;">UK Government Data Search Platform</p>
+        </div>
+        
+        <div style="padding: 30px 20px; background-color: white;">
+          <h2 style="color: #2c3e50; margin-bottom: 20px;">Confirm Your New Email Address</h2>
+          
+          <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
+            We received a request to change the email address on your OpenGov DataHub account to this one. Until you confirm, you will keep signing in with your current address.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${confirmationUrl}" 
+               style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+              Confirm Email Change
+            </a>
+          </div>
+          
+          <p style="color: #777; font-size: 14px; margin-top: 30px;">
+            If the button above doesn't work, copy and paste this link into your browser:
+          </p>
+          <p style="color: #3498db; font-size: 14px; word-break: break-all;">
+            ${confirmationUrl}
+          </p>
+          
+          <p style="color: #777; font-size: 14px; margin-top: 30px;">
+            This link will expire in 24 hours. If you didn't request this change, you can safely ignore this email.
+          </p>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #777; font-size: 12px;">
+          <p>OpenGov DataHub - Your gateway to UK government data</p>
+          <p>© 2024 OpenGov DataHub. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  };
+};
+
+const getEmailChangeNoticeEmailTemplate = ({ newEmail: rawNewEmail, revertToken, revertExpiresAt }) => {
+  const revertUrl = `${process.env.FRONTEND_URL}/revert-email-change?token=${revertToken}`;
+  const newEmail = escapeHtml(rawNewEmail);
+  const revertDeadline = new Date(revertExpiresAt).toUTCString();
+  
+  return {
+    subject: 'Your Email Address Is Being Changed - OpenGov DataHub',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #2c3e50; margin: 0;">OpenGov DataHub</h1>
+          <p style="color: #7f8c8d; margin: 5px 0;">UK Government Data Search Platform</p>
+        </div>
+        
+        <div style="padding: 30px 20px; background-color: white;">
+          <h2 style="color: #2c3e50; margin-bottom: 20px;">Email Change Requested</h2>
+          
+          <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
+            Someone signed in to your OpenGov DataHub account asked to change its email address to <strong>${newEmail}</strong>. The change takes effect once it is confirmed from that address.
+          </p>
+          
+          <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
+            If this wasn't you, use the button below before <strong>${revertDeadline}</strong>. It will keep (or restore) this address on your account and sign out every device.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${revertUrl}" 
+               style="background-color: #e74c3c; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+              This Wasn't Me
+            </a>
+          </div>
+          
+          <p style="color: #777; font-size: 14px; margin-top: 30px;">
+            If the button above doesn't work, copy and paste this link into your browser:
+          </p>
+          <p style="color: #3498db; font-size: 14px; word-break: break-all;">
+            ${revertUrl}
+          </p>
+          
+          <p style="color: #777; font-size: 14px; margin-top: 30px;">
+            If you made this change, no action is needed.
+          </p>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #777; font-size: 12px;">
+          <p>OpenGov DataHub - Your gateway to UK government data</p>
+          <p>© 2024 OpenGov DataHub. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  };
+};
+
 // Send verification email
 export const sendVerificationEmail = async (email, verificationToken) => {
   try {
@@ -174,6 +423,111 @@ export const sendPasswordResetEmail = async (email, resetToken) => {
   }
 };
 
+// Send passwordless sign-in link
+export const sendMagicLinkEmail = async (email, magicLinkToken) => {
+  try {
+    const template = getMagicLinkEmailTemplate(magicLinkToken);
+    
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Magic link email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending magic link email:', error);
+    throw new Error('Failed to send magic link email');
+  }
+};
+
+// Send organisation invitation
+export const sendOrganisationInvitationEmail = async (email, invitation) => {
+  try {
+    const template = getOrganisationInvitationEmailTemplate(invitation);
+    
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Organisation invitation email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending organisation invitation email:', error);
+    throw new Error('Failed to send organisation invitation email');
+  }
+};
+
+// Send account lockout notification
+export const sendAccountLockedEmail = async (email, lockedUntil) => {
+  try {
+    const template = getAccountLockedEmailTemplate(lockedUntil);
+    
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account locked email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw new Error('Failed to send account locked email');
+  }
+};
+
+// Send the confirmation link for an email change to the new address
+export const sendEmailChangeConfirmationEmail = async (email, confirmationToken) => {
+  try {
+    const template = getEmailChangeConfirmationEmailTemplate(confirmationToken);
+    
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email change confirmation sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending email change confirmation:', error);
+    throw new Error('Failed to send email change confirmation');
+  }
+};
+
+// Tell the current address about an email change, with a revert link
+export const sendEmailChangeNoticeEmail = async (email, notice) => {
+  try {
+    const template = getEmailChangeNoticeEmailTemplate(notice);
+    
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    };
+    
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email change notice sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending email change notice:', error);
+    throw new Error('Failed to send email change notice');
+  }
+};
+
 // Test email configuration
 export const testEmailConfig = async () => {
   try {
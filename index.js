@@ -6,13 +6,21 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const dotenv = require('dotenv');
 
+// Load environment variables (before the modules below read their settings)
+dotenv.config();
+
 // Import routes
 const authRoutes = require('./routes/auth.js');
 const dataRoutes = require('./routes/data.js');
 const searchRoutes = require('./routes/search.js');
-
-// Load environment variables
-dotenv.config();
+const adminRoutes = require('./routes/admin.js');
+const organisationRoutes = require('./routes/organisations.js');
+const billingRoutes = require('./routes/billing.js');
+const { startDeletionPurgeScheduler } = require('./auth/accountData.js');
+const { startCacheRefreshScheduler } = require('./api/apiClient.js');
+const { startUsagePruneScheduler } = require('./auth/usage.js');
+const { getJwks } = require('./auth/signingKeys.js');
+const { migrateStorage } = require('./storage/index.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -34,6 +42,10 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Billing webhooks verify a signature over the raw body, so they are
+// mounted ahead of the JSON parser
+app.use('/api/billing', billingRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -45,6 +57,14 @@ app.use(morgan('combined'));
 app.use('/api/auth', authRoutes);
 app.use('/api/data', dataRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/organisations', organisationRoutes);
+
+// Public keys for verifying our tokens (JWKS)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -74,11 +94,36 @@ app.get('/api/routes', (req, res) => {
       auth: [
         'POST /api/auth/register',
         'POST /api/auth/login',
+        'POST /api/auth/login/2fa',
+        'POST /api/auth/magic-link',
+        'POST /api/auth/magic-link/consume',
+        'POST /api/auth/refresh',
+        'POST /api/auth/logout',
+        'POST /api/auth/logout-all',
+        'GET /api/auth/sessions',
+        'DELETE /api/auth/sessions/:id',
+        'GET /api/auth/oauth/:provider',
+        'POST /api/auth/oauth/:provider/callback',
         'POST /api/auth/verify-email',
         'POST /api/auth/forgot-password',
         'POST /api/auth/reset-password',
         'GET /api/auth/profile',
         'PUT /api/auth/profile',
+        'POST /api/auth/email-change/confirm',
+        'POST /api/auth/email-change/revert',
+        'DELETE /api/auth/email-change',
+        'POST /api/auth/2fa/setup',
+        'POST /api/auth/2fa/enable',
+        'POST /api/auth/2fa/disable',
+        'POST /api/auth/2fa/recovery-codes',
+        'POST /api/auth/api-keys',
+        'GET /api/auth/api-keys',
+        'DELETE /api/auth/api-keys/:id',
+        'GET /api/auth/usage',
+        'GET /api/auth/security-events',
+        'GET /api/auth/export',
+        'DELETE /api/auth/account',
+        'POST /api/auth/account/restore',
         'GET /api/auth/verify'
       ],
       data: [
@@ -86,6 +131,11 @@ app.get('/api/routes', (req, res) => {
         'GET /api/data/enhanced',
         'POST /api/data/refresh',
         'GET /api/data/cache/status',
+        'DELETE /api/data/cache',
+        'GET /api/data/cache/keys',
+        'GET /api/data/cache/entry',
+        'POST /api/data/cache/purge',
+        'GET /api/data/cache/sources',
         'GET /api/data/proxy/*'
       ],
       search: [
@@ -96,9 +146,40 @@ app.get('/api/routes', (req, res) => {
         'POST /api/search/index/rebuild',
         'GET /api/search/stats'
       ],
+      organisations: [
+        'POST /api/organisations',
+        'POST /api/organisations/invitations/accept',
+        'GET /api/organisations/:id',
+        'POST /api/organisations/:id/invitations',
+        'DELETE /api/organisations/:id/invitations/:invitationId',
+        'PATCH /api/organisations/:id/members/:userId',
+        'DELETE /api/organisations/:id/members/:userId',
+        'DELETE /api/organisations/:id'
+      ],
+      billing: [
+        'POST /api/billing/webhook'
+      ],
+      admin: [
+        'GET /api/admin/users',
+        'GET /api/admin/users/:id',
+        'GET /api/admin/users/:id/usage',
+        'PATCH /api/admin/users/:id',
+        'POST /api/admin/users/:id/suspend',
+        'POST /api/admin/users/:id/reactivate',
+        'POST /api/admin/users/:id/force-verification',
+        'POST /api/admin/users/:id/password-reset',
+        'POST /api/admin/users/:id/unlock',
+        'GET /api/admin/audit-log',
+        'GET /api/admin/signing-keys',
+        'POST /api/admin/signing-keys/rotate',
+        'GET /api/admin/snapshot',
+        'GET /api/admin/organisations',
+        'PATCH /api/admin/organisations/:id'
+      ],
       system: [
         'GET /api/health',
-        'GET /api/routes'
+        'GET /api/routes',
+        'GET /.well-known/jwks.json'
       ]
     }
   });
@@ -115,9 +196,39 @@ app.use('*', (req, res) => {
   });
 });
 
+// Upgrade stored data to the current schema before serving anything; refuse
+// to start on data written by a newer version
+try {
+  migrateStorage()
+    .filter(({ from, to }) => from !== to)
+    .forEach(({ collection, from, to }) => console.log(`📦 Upgraded ${collection} from schema v${from} to v${to}`));
+} catch (error) {
+  console.error('Storage migration error:', error.message);
+  process.exit(1);
+}
+
+// Erase accounts whose deletion grace period has ended
+startDeletionPurgeScheduler();
+
+// Drop usage events past USAGE_RETENTION_DAYS
+startUsagePruneScheduler();
+
+// Re-fetch frequently read API cache entries before they go stale
+startCacheRefreshScheduler();
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+});
+
+// Finish in-flight requests, then exit; pending cache writes are flushed on exit
+const shutdown = (signal) => {
+  console.log(`${signal} received, shutting down`);
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 10000).unref();
+};
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
\ No newline at end of file
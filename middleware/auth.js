@@ -1,6 +1,40 @@
-import { verifyToken, findUserById } from '../auth/auth.js';
+import { verifyToken, findUserById, sanitizeUser, isUserSuspended, findSessionById, isSessionActive, touchSession } from '../auth/auth.js';
+import { verifyApiKey } from '../auth/apiKeys.js';
+import { getPermissions } from '../auth/roles.js';
+import { isPendingDeletion } from '../auth/accountData.js';
+import { PLAN_CATALOGUE, PLAN_NAMES, DEFAULT_PLAN, getPlan } from '../auth/plans.js';
+import { findOrganisationById } from '../auth/organisations.js';
+import { recordUsageOnFinish, debitSearchQuota } from '../auth/usage.js';
+
+const BILLING_UPGRADE_URL = process.env.BILLING_UPGRADE_URL || `${process.env.FRONTEND_URL}/pricing`;
+
+// Authenticate with an X-API-Key header (programmatic access)
+const authenticateApiKey = (req, res, next) => {
+  const apiKey = verifyApiKey(req.headers['x-api-key']);
+  
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+  }
+  
+  const user = findUserById(apiKey.userId);
+  if (!user || isPendingDeletion(user)) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+  
+  if (isUserSuspended(user)) {
+    return res.status(403).json({ error: 'Account suspended' });
+  }
+  
+  req.user = sanitizeUser(user);
+  req.apiKey = apiKey;
+  next();
+};
 
 export const authenticateToken = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next);
+  }
+  
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
   
@@ -10,21 +44,61 @@ export const authenticateToken = (req, res, next) => {
   
   try {
     const decoded = verifyToken(token);
+    
+    // Access tokens are only honoured while their session is live
+    const session = findSessionById(decoded.sid);
+    if (!session || !isSessionActive(session)) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+    
     const user = findUserById(decoded.userId);
     
-    if (!user) {
+    if (!user || isPendingDeletion(user)) {
       return res.status(401).json({ error: 'User not found' });
     }
     
+    if (isUserSuspended(user)) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+    
+    touchSession(session.id, { ip: req.ip });
+    
     // Add user to request object (without password)
-    const { password, ...userWithoutPassword } = user;
-    req.user = userWithoutPassword;
+    req.user = sanitizeUser(user);
+    req.sessionId = session.id;
     next();
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
+// Restrict API-key requests to the scopes granted to the key.
+// Requests authenticated with a user session are not scope-limited.
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This API key does not have the ${scope} scope`,
+        requiredScope: scope
+      });
+    }
+    
+    next();
+  };
+};
+
+// Reject API-key requests for account management operations
+export const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: 'User session required',
+      message: 'This operation cannot be performed with an API key'
+    });
+  }
+  next();
+};
+
 export const requireEmailVerification = (req, res, next) => {
   if (!req.user.emailVerified) {
     return res.status(403).json({ 
@@ -35,28 +109,113 @@ export const requireEmailVerification = (req, res, next) => {
   next();
 };
 
-export const requirePlan = (requiredPlan) => {
-  const planHierarchy = {
-    'free': 0,
-    'pro': 1,
-    'business': 2,
-    'enterprise': 3
+export const requirePermission = (...requiredPermissions) => {
+  return (req, res, next) => {
+    const userPermissions = getPermissions(req.user);
+    const missingPermissions = requiredPermissions.filter(permission => !userPermissions.includes(permission));
+    
+    if (missingPermissions.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient privileges',
+        message: `This operation requires the ${missingPermissions.join(', ')} permission`,
+        role: req.user.role || 'user',
+        requiredPermissions
+      });
+    }
+    
+    next();
   };
-  
+};
+
+// Enforce plan entitlements from the plan catalogue. Checks the minimum plan,
+// optional features (e.g. { feature: 'proxyAccess' }), and the request's
+// `format` and `limit` query parameters against what the plan allows.
+export const requirePlan = (requiredPlan = DEFAULT_PLAN, { feature = null } = {}) => {
   return (req, res, next) => {
-    const userPlan = req.user.plan || 'free';
-    const userPlanLevel = planHierarchy[userPlan] || 0;
-    const requiredPlanLevel = planHierarchy[requiredPlan] || 0;
+    // Organisation members are entitled to their organisation's plan
+    const organisation = req.user.organisationId ? findOrganisationById(req.user.organisationId) : null;
+    const userPlan = getPlan(organisation ? organisation.plan : req.user.plan);
+    const requiredPlanLevel = getPlan(requiredPlan).level;
     
-    if (userPlanLevel < requiredPlanLevel) {
+    if (userPlan.level < requiredPlanLevel) {
       return res.status(403).json({
         error: 'Insufficient plan level',
         message: `This feature requires ${requiredPlan} plan or higher`,
-        currentPlan: userPlan,
+        currentPlan: userPlan.name,
         requiredPlan: requiredPlan
       });
     }
     
+    if (feature && !userPlan[feature]) {
+      return res.status(403).json({
+        error: 'Feature not included in plan',
+        message: `Your ${userPlan.name} plan does not include this feature. Please upgrade your plan.`,
+        currentPlan: userPlan.name,
+        availableOn: PLAN_NAMES.filter(name => PLAN_CATALOGUE[name][feature])
+      });
+    }
+    
+    const { format, limit } = req.query;
+    
+    if (format && !userPlan.exportFormats.includes(format)) {
+      return res.status(403).json({
+        error: 'Export format not included in plan',
+        message: `Your ${userPlan.name} plan supports: ${userPlan.exportFormats.join(', ')}`,
+        currentPlan: userPlan.name,
+        allowedFormats: userPlan.exportFormats
+      });
+    }
+    
+    if (limit && parseInt(limit) > userPlan.maxResultLimit) {
+      return res.status(403).json({
+        error: 'Result limit exceeds plan',
+        message: `Your ${userPlan.name} plan allows up to ${userPlan.maxResultLimit} results per request`,
+        currentPlan: userPlan.name,
+        maxResultLimit: userPlan.maxResultLimit
+      });
+    }
+    
+    req.entitlements = userPlan;
     next();
   };
-};
\ No newline at end of file
+};
+
+// Count a metered request against the user's monthly allowance, or their
+// organisation's shared pool, and reject it once the allowance is used up.
+// Requests let through are recorded in the usage history.
+export const trackSearchUsage = (req, res, next) => {
+  if (!req.user) {
+    return next();
+  }
+  
+  const { allowed, user, quota } = debitSearchQuota(req.user);
+  
+  if (!allowed && quota.organisationId) {
+    return res.status(429).json({
+      error: 'Search limit exceeded',
+      message: `Your organisation has reached its limit of ${quota.searchLimit} searches. Please ask an organisation owner to upgrade.`,
+      searchesUsed: quota.searchesUsed,
+      searchLimit: quota.searchLimit,
+      plan: quota.plan,
+      organisationId: quota.organisationId,
+      resetsAt: quota.billingPeriodEnd
+    });
+  }
+  
+  if (!allowed) {
+    return res.status(429).json({
+      error: 'Search limit exceeded',
+      message: `You have reached your limit of ${quota.searchLimit} searches. Please upgrade your plan.`,
+      searchesUsed: quota.searchesUsed,
+      searchLimit: quota.searchLimit,
+      plan: quota.plan,
+      resetsAt: quota.billingPeriodEnd,
+      upgradeUrl: BILLING_UPGRADE_URL
+    });
+  }
+  
+  // Report the allowance drawn on as the user's own
+  req.user = { ...user, plan: quota.plan, searchesUsed: quota.searchesUsed, searchLimit: quota.searchLimit };
+  recordUsageOnFinish(req, res);
+  next();
+};
@@ -0,0 +1,498 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const { body, query, validationResult } = require('express-validator');
+const {
+  listUsers,
+  findUserById,
+  updateUser,
+  sanitizeUser,
+  isUserSuspended,
+  findSessionsByUserId,
+  isSessionActive,
+  revokeAllSessions,
+  createVerificationToken,
+  createPasswordResetToken
+} = require('../auth/auth.js');
+const { unlockAccount, isAccountLocked } = require('../auth/loginThrottle.js');
+const { listApiKeys } = require('../auth/apiKeys.js');
+const { getUsageSummary } = require('../auth/usage.js');
+const { AUDIT_EVENTS, recordAuditEvent, queryAuditLog } = require('../auth/auditLog.js');
+const { isPendingDeletion } = require('../auth/accountData.js');
+const { listOrganisations, findOrganisationById, updateOrganisation } = require('../auth/organisations.js');
+const { PERMISSIONS, ROLES } = require('../auth/roles.js');
+const { listSigningKeys, rotateSigningKeys } = require('../auth/signingKeys.js');
+const { createSnapshotStream } = require('../storage/snapshot.js');
+const { PLAN_NAMES: PLANS, getPlan } = require('../auth/plans.js');
+const { authenticateToken, requireUserSession, requirePermission } = require('../middleware/auth.js');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../email/emailService.js');
+
+const router = express.Router();
+
+const USER_STATUSES = ['active', 'suspended', 'locked', 'pending-deletion', 'unverified'];
+
+// Every admin route requires a user session with user-management rights
+router.use(authenticateToken, requireUserSession, requirePermission(PERMISSIONS.USERS_MANAGE));
+
+// Validation rules
+const listUsersValidation = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('q').optional().isString().trim(),
+  query('plan').optional().isIn(PLANS),
+  query('role').optional().isIn(ROLES),
+  query('status').optional().isIn(USER_STATUSES)
+];
+
+const updateUserValidation = [
+  body('plan').optional().isIn(PLANS).withMessage(`Plan must be one of: ${PLANS.join(', ')}`),
+  body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('searchLimit').optional().isInt({ min: 0 }).toInt(),
+  body('searchesUsed').optional().isInt({ min: 0 }).toInt(),
+  body('name').optional().isLength({ min: 1 }).trim()
+];
+
+const updateOrganisationValidation = [
+  body('plan').optional().isIn(PLANS).withMessage(`Plan must be one of: ${PLANS.join(', ')}`),
+  body('searchLimit').optional().isInt({ min: 0 }).toInt(),
+  body('searchesUsed').optional().isInt({ min: 0 }).toInt()
+];
+
+const usageValidation = [
+  query('days').optional().isInt({ min: 1, max: 366 }).toInt(),
+  query('months').optional().isInt({ min: 1, max: 13 }).toInt()
+];
+
+const auditLogValidation = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('userId').optional().isString().trim(),
+  query('event').optional().isString().trim(),
+  query('outcome').optional().isIn(['success', 'failure']),
+  query('ip').optional().isString().trim(),
+  query('since').optional().isISO8601(),
+  query('until').optional().isISO8601()
+];
+
+const suspendUserValidation = [
+  body('reason').optional().isLength({ max: 500 }).trim()
+];
+
+const getUserStatus = (user) => {
+  if (isPendingDeletion(user)) return 'pending-deletion';
+  if (isUserSuspended(user)) return 'suspended';
+  if (isAccountLocked(user)) return 'locked';
+  if (!user.emailVerified) return 'unverified';
+  return 'active';
+};
+
+const toAdminUser = (user) => ({
+  ...sanitizeUser(user),
+  status: getUserStatus(user)
+});
+
+// Record an admin action against the target user
+const auditAdminAction = (req, action, metadata = {}) => {
+  recordAuditEvent(req, AUDIT_EVENTS.ADMIN_ACTION, {
+    userId: req.targetUser ? req.targetUser.id : null,
+    email: req.targetUser ? req.targetUser.email : null,
+    metadata: { action, ...metadata }
+  });
+};
+
+// Load the target user or send 404
+const loadTargetUser = (req, res, next) => {
+  const user = findUserById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  req.targetUser = user;
+  next();
+};
+
+// Search and paginate users
+router.get('/users', listUsersValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, plan, role, status, page = 1, limit = 20 } = req.query;
+    const search = q ? q.toLowerCase() : null;
+
+    const users = listUsers()
+      .filter(user => !search ||
+        (user.email || '').toLowerCase().includes(search) ||
+        (user.name || '').toLowerCase().includes(search) ||
+        user.id === q)
+      .filter(user => !plan || (user.plan || 'free') === plan)
+      .filter(user => !role || (user.role || 'user') === role)
+      .filter(user => !status || getUserStatus(user) === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const offset = (page - 1) * limit;
+
+    res.json({
+      users: users.slice(offset, offset + limit).map(toAdminUser),
+      pagination: {
+        total: users.length,
+        page,
+        limit,
+        totalPages: Math.ceil(users.length / limit),
+        hasMore: users.length > offset + limit
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// View a user's details
+router.get('/users/:id', loadTargetUser, (req, res) => {
+  try {
+    const user = req.targetUser;
+    const sessions = findSessionsByUserId(user.id);
+
+    res.json({
+      user: toAdminUser(user),
+      sessions: {
+        active: sessions.filter(isSessionActive).length,
+        total: sessions.length
+      },
+      apiKeys: listApiKeys(user.id)
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// View a user's usage history, as they see it at /api/auth/usage
+router.get('/users/:id/usage', loadTargetUser, usageValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { days, months } = req.query;
+
+    res.json({
+      userId: req.targetUser.id,
+      ...getUsageSummary(req.targetUser, { days, months })
+    });
+  } catch (error) {
+    console.error('Admin usage history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change plan, limits, role or name
+router.patch('/users/:id', loadTargetUser, updateUserValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const allowedFields = ['plan', 'role', 'searchLimit', 'searchesUsed', 'name'];
+    const updates = {};
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'No changes supplied',
+        allowedFields
+      });
+    }
+
+    // A plan change brings the plan's quota unless a custom limit was given
+    if (updates.plan && updates.searchLimit === undefined) {
+      updates.searchLimit = getPlan(updates.plan).monthlyQuota;
+    }
+
+    if (updates.role && req.targetUser.id === req.user.id && updates.role !== req.user.role) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = updateUser(req.targetUser.id, updates);
+    auditAdminAction(req, 'update-user', { changes: updates });
+
+    if (updates.plan && updates.plan !== (req.targetUser.plan || 'free')) {
+      recordAuditEvent(req, AUDIT_EVENTS.PLAN_CHANGED, {
+        userId: user.id,
+        email: user.email,
+        metadata: { from: req.targetUser.plan || 'free', to: updates.plan, source: 'admin' }
+      });
+    }
+
+    res.json({
+      message: 'User updated successfully',
+      user: { ...user, status: getUserStatus(user) }
+    });
+  } catch (error) {
+    console.error('Admin update user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Suspend an account and sign it out everywhere
+router.post('/users/:id/suspend', loadTargetUser, suspendUserValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.targetUser.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    if (isUserSuspended(req.targetUser)) {
+      return res.status(400).json({ error: 'Account is already suspended' });
+    }
+
+    const user = updateUser(req.targetUser.id, {
+      suspendedAt: new Date().toISOString(),
+      suspendedBy: req.user.id,
+      suspensionReason: req.body.reason || null
+    });
+    const revokedSessions = revokeAllSessions(req.targetUser.id, 'suspended');
+    auditAdminAction(req, 'suspend', { reason: req.body.reason || null, revokedSessions });
+
+    res.json({
+      message: 'Account suspended',
+      revokedSessions,
+      user: { ...user, status: getUserStatus(user) }
+    });
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lift a suspension
+router.post('/users/:id/reactivate', loadTargetUser, (req, res) => {
+  try {
+    if (!isUserSuspended(req.targetUser)) {
+      return res.status(400).json({ error: 'Account is not suspended' });
+    }
+
+    const user = updateUser(req.targetUser.id, {
+      suspendedAt: null,
+      suspendedBy: null,
+      suspensionReason: null
+    });
+    auditAdminAction(req, 'reactivate');
+
+    res.json({
+      message: 'Account reactivated',
+      user: { ...user, status: getUserStatus(user) }
+    });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark the email unverified and send a fresh verification link
+router.post('/users/:id/force-verification', loadTargetUser, async (req, res) => {
+  try {
+    const user = updateUser(req.targetUser.id, { emailVerified: false });
+    auditAdminAction(req, 'force-verification');
+
+    const verificationToken = createVerificationToken(user.id, user.email);
+    await sendVerificationEmail(user.email, verificationToken);
+
+    res.json({
+      message: 'Verification email sent',
+      user: { ...user, status: getUserStatus(user) }
+    });
+  } catch (error) {
+    console.error('Admin force verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send the user a password reset link
+router.post('/users/:id/password-reset', loadTargetUser, async (req, res) => {
+  try {
+    const resetToken = createPasswordResetToken(req.targetUser.id, req.targetUser.email);
+    await sendPasswordResetEmail(req.targetUser.email, resetToken);
+    auditAdminAction(req, 'password-reset');
+
+    res.json({ message: 'Password reset email sent' });
+  } catch (error) {
+    console.error('Admin password reset error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Clear a login lockout
+router.post('/users/:id/unlock', loadTargetUser, (req, res) => {
+  try {
+    const user = unlockAccount(req.targetUser.id);
+    auditAdminAction(req, 'unlock');
+
+    res.json({
+      message: 'Account unlocked',
+      user: { ...user, status: getUserStatus(user) }
+    });
+  } catch (error) {
+    console.error('Account unlock error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Search the security audit log, newest first
+router.get('/audit-log', auditLogValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, event, outcome, ip, since, until, page = 1, limit = 50 } = req.query;
+    const entries = queryAuditLog({ userId, event, outcome, ip, since, until });
+    const offset = (page - 1) * limit;
+
+    res.json({
+      entries: entries.slice(offset, offset + limit),
+      pagination: {
+        total: entries.length,
+        page,
+        limit,
+        totalPages: Math.ceil(entries.length / limit),
+        hasMore: entries.length > offset + limit
+      }
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Token signing keys and their rotation state
+router.get('/signing-keys', requirePermission(PERMISSIONS.SIGNING_KEYS_MANAGE), (req, res) => {
+  try {
+    res.json({ keys: listSigningKeys() });
+  } catch (error) {
+    console.error('Admin list signing keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rotate now. With revokePrevious, access tokens and emailed links signed by
+// older keys stop working immediately (clients recover by refreshing their
+// session); otherwise the older keys run out their grace period.
+router.post('/signing-keys/rotate', requirePermission(PERMISSIONS.SIGNING_KEYS_MANAGE), [
+  body('revokePrevious').optional().isBoolean().toBoolean()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revokePrevious = Boolean(req.body.revokePrevious);
+    const kid = rotateSigningKeys({ revokePrevious });
+    auditAdminAction(req, 'rotate-signing-keys', { kid, revokePrevious });
+
+    res.json({
+      message: 'Signing key rotated',
+      kid,
+      keys: listSigningKeys()
+    });
+  } catch (error) {
+    console.error('Admin rotate signing keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a point-in-time snapshot of the data directory, without the
+// private signing keys. The archive is compressed as it is sent, so there is
+// no checksum header; manifest.json carries one for every file. Restoring is
+// done offline with scripts/backup.js.
+router.get('/snapshot', requirePermission(PERMISSIONS.BACKUPS_CREATE), (req, res) => {
+  try {
+    const snapshot = createSnapshotStream();
+    auditAdminAction(req, 'create-snapshot', { files: snapshot.manifest.files.length });
+
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${snapshot.fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+    pipeline(snapshot.stream, res, (error) => {
+      if (error) {
+        console.error('Admin snapshot stream error:', error);
+      }
+    });
+  } catch (error) {
+    console.error('Admin snapshot error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List organisations and their shared quotas
+router.get('/organisations', (req, res) => {
+  try {
+    res.json({ organisations: listOrganisations() });
+  } catch (error) {
+    console.error('Admin list organisations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change an organisation's plan or shared quota
+router.patch('/organisations/:id', updateOrganisationValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const previous = findOrganisationById(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Organisation not found' });
+    }
+
+    const updates = {};
+    ['plan', 'searchLimit', 'searchesUsed'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (updates.plan && updates.searchLimit === undefined) {
+      updates.searchLimit = getPlan(updates.plan).monthlyQuota;
+    }
+
+    const organisation = updateOrganisation(req.params.id, updates);
+    auditAdminAction(req, 'update-organisation', { organisationId: organisation.id, changes: updates });
+
+    if (updates.plan && updates.plan !== previous.plan) {
+      recordAuditEvent(req, AUDIT_EVENTS.PLAN_CHANGED, {
+        metadata: { organisationId: organisation.id, from: previous.plan, to: updates.plan, source: 'admin' }
+      });
+    }
+
+    res.json({
+      message: 'Organisation updated successfully',
+      organisation
+    });
+  } catch (error) {
+    console.error('Admin update organisation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
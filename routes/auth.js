@@ -1,22 +1,173 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const crypto = require('crypto');
 const {
   createUser,
+  createOAuthUser,
   findUserByEmail,
   findUserById,
+  findUserByOAuthIdentity,
+  linkOAuthIdentity,
+  resetUnverifiedAccount,
+  isUserSuspended,
   updateUser,
   comparePassword,
-  generateToken,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  refreshSession,
+  findSessionByRefreshToken,
+  findSessionById,
+  findSessionsByUserId,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
   createVerificationToken,
   verifyEmailToken,
   createPasswordResetToken,
+  createMagicLinkToken,
+  consumeMagicLinkToken,
+  createOAuthState,
+  consumeOAuthState,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  cancelEmailChange,
   resetPassword
 } = require('../auth/auth.js');
-const { authenticateToken } = require('../middleware/auth.js');
-const { sendVerificationEmail, sendPasswordResetEmail } = require('../email/emailService.js');
+const { getProviderConfig, generateCodeVerifier, buildAuthorizationUrl, exchangeCode } = require('../auth/oauth.js');
+const {
+  isTwoFactorEnabled,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+} = require('../auth/twoFactor.js');
+const {
+  isPendingDeletion,
+  exportUserData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../auth/accountData.js');
+const { beginLoginAttempt, releaseLoginAttempt, recordFailedLogin, recordSuccessfulLogin } = require('../auth/loginThrottle.js');
+const { API_KEY_SCOPES, createApiKey, listApiKeys, revokeApiKey, revokeAllApiKeys } = require('../auth/apiKeys.js');
+const { getUsageSummary } = require('../auth/usage.js');
+const { AUDIT_EVENTS, recordAuditEvent, findAuditEventsByUserId } = require('../auth/auditLog.js');
+const { authenticateToken, requireUserSession } = require('../middleware/auth.js');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendAccountLockedEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail
+} = require('../email/emailService.js');
 
 const router = express.Router();
 
+// Where a sign-in came from, stored on the session
+const getClientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null
+});
+
+// User fields returned alongside a new session
+const toSessionUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  emailVerified: user.emailVerified,
+  role: user.role || 'user',
+  plan: user.plan,
+  searchesUsed: user.searchesUsed,
+  searchLimit: user.searchLimit
+});
+
+const rejectThrottledLogin = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed login attempts',
+    message: `Please try again in ${throttle.retryAfter} seconds`,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Count a failed attempt and tell the owner if it locked their account
+const handleFailedLogin = async (req, user, reason) => {
+  const { locked, lockedUntil } = recordFailedLogin(user, req.ip);
+  
+  recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, {
+    userId: user.id,
+    email: user.email,
+    outcome: 'failure',
+    metadata: { reason }
+  });
+  
+  if (locked) {
+    recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_LOCKED, { userId: user.id, email: user.email, metadata: { lockedUntil } });
+    try {
+      await sendAccountLockedEmail(user.email, lockedUntil);
+    } catch (error) {
+      console.error('Lockout notification error:', error);
+    }
+  }
+};
+
+const rejectSuspended = (res) => {
+  return res.status(403).json({
+    error: 'Account suspended',
+    message: 'This account has been suspended. Please contact support.'
+  });
+};
+
+const rejectPendingDeletion = (res, user) => {
+  return res.status(403).json({
+    error: 'Account scheduled for deletion',
+    message: 'This account is scheduled for deletion. Use POST /api/auth/account/restore to cancel.',
+    deletionScheduledFor: user.deletionScheduledFor
+  });
+};
+
+// Record a completed sign-in
+const auditLogin = (req, user, method) => {
+  recordAuditEvent(req, AUDIT_EVENTS.LOGIN_SUCCESS, { userId: user.id, actorId: user.id, email: user.email, metadata: { method } });
+};
+
+// Second step of a login for accounts with 2FA enabled
+const twoFactorChallengeResponse = (user) => ({
+  message: 'Two-factor authentication required',
+  twoFactorRequired: true,
+  challengeToken: createTwoFactorChallenge(user.id)
+});
+
+// OAuth state is bound to the browser that started the sign-in: a short-lived
+// cookie carries a hash of it, and the callback needs both. Otherwise a state
+// from an attacker's own sign-in could be completed in a victim's browser,
+// signing the victim in as the attacker (login CSRF).
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_STATE_TTL = 10 * 60 * 1000; // as long as the state itself lasts
+
+const hashOAuthState = (state) => crypto.createHash('sha256').update(state).digest('base64url');
+
+const oauthStateCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: `${req.baseUrl}/oauth`
+});
+
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return cookie ? cookie.slice(name.length + 1) : null;
+};
+
+const isOAuthStateFromThisBrowser = (req, state) => {
+  const cookie = Buffer.from(readCookie(req, OAUTH_STATE_COOKIE) || '');
+  const expected = Buffer.from(hashOAuthState(state));
+  return cookie.length === expected.length && crypto.timingSafeEqual(cookie, expected);
+};
+
 // Validation rules
 const registerValidation = [
   body('email').isEmail().normalizeEmail(),
@@ -33,6 +184,41 @@ const passwordResetValidation = [
   body('email').isEmail().normalizeEmail()
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken').isLength({ min: 1 }).withMessage('Refresh token is required')
+];
+
+const magicLinkValidation = [
+  body('email').isEmail().normalizeEmail()
+];
+
+const oauthCallbackValidation = [
+  body('code').isLength({ min: 1 }).withMessage('Authorization code is required'),
+  body('state').isLength({ min: 1 }).withMessage('State is required')
+];
+
+const apiKeyValidation = [
+  body('name').isLength({ min: 1, max: 100 }).trim().withMessage('Name is required'),
+  body('scopes').optional().isArray().withMessage('Scopes must be an array'),
+  body('scopes.*').optional().isIn(API_KEY_SCOPES).withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be an ISO 8601 date')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken').isLength({ min: 1 }).withMessage('Challenge token is required'),
+  body('code').optional().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isLength({ min: 1 })
+];
+
+const twoFactorCodeValidation = [
+  body('code').isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+];
+
+const restoreAccountValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 1 }).withMessage('Password is required')
+];
+
 const resetPasswordValidation = [
   body('token').isLength({ min: 1 }).withMessage('Token is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
@@ -49,6 +235,7 @@ router.post('/register', registerValidation, async (req, res) => {
     const { email, password, name } = req.body;
     
     const user = await createUser({ email, password, name });
+    recordAuditEvent(req, AUDIT_EVENTS.REGISTER, { userId: user.id, actorId: user.id, email: user.email, metadata: { method: 'password' } });
     
     // Create verification token and send email
     const verificationToken = createVerificationToken(user.id, user.email);
@@ -80,33 +267,68 @@ router.post('/login', loginValidation, async (req, res) => {
     const { email, password } = req.body;
     
     const user = findUserByEmail(email);
-    if (!user) {
+    
+    // Counts the attempt before the (slow) password check
+    const throttle = beginLoginAttempt(user, req.ip);
+    if (!throttle.allowed) {
+      recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, {
+        userId: user ? user.id : null,
+        email,
+        outcome: 'failure',
+        metadata: { reason: 'throttled' }
+      });
+      return rejectThrottledLogin(res, throttle);
+    }
+    
+    if (!user || !user.password) {
+      // Accounts created through OAuth have no password to check
+      recordFailedLogin(null, req.ip);
+      recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, {
+        userId: user ? user.id : null,
+        email,
+        outcome: 'failure',
+        metadata: { reason: user ? 'no-password' : 'unknown-email' }
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
     const isPasswordValid = await comparePassword(password, user.password);
     if (!isPasswordValid) {
+      await handleFailedLogin(req, user, 'invalid-password');
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
+    // The password was right, so none of these count as a failed attempt
+    if (isUserSuspended(user)) {
+      releaseLoginAttempt(user);
+      return rejectSuspended(res);
+    }
+    
+    if (isPendingDeletion(user)) {
+      releaseLoginAttempt(user);
+      return rejectPendingDeletion(res, user);
+    }
+    
+    if (isTwoFactorEnabled(user)) {
+      releaseLoginAttempt(user);
+      return res.json(twoFactorChallengeResponse(user));
+    }
+    
+    recordSuccessfulLogin(user);
+    auditLogin(req, user, 'password');
+    
     // Update last login
     updateUser(user.id, { lastLoginAt: new Date().toISOString() });
     
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a new session
+    const { accessToken, refreshToken, expiresIn } = createSession(user.id, getClientInfo(req));
     
     res.json({
       message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        emailVerified: user.emailVerified,
-        plan: user.plan,
-        searchesUsed: user.searchesUsed,
-        searchLimit: user.searchLimit
-      }
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: toSessionUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -114,6 +336,352 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Complete a two-step login with a TOTP or recovery code
+router.post('/login/2fa', twoFactorLoginValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'A verification code or recovery code is required' });
+    }
+    
+    const { userId } = verifyTwoFactorChallenge(challengeToken);
+    const user = findUserById(userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    if (isUserSuspended(user)) {
+      return rejectSuspended(res);
+    }
+    
+    if (isPendingDeletion(user)) {
+      return rejectPendingDeletion(res, user);
+    }
+    
+    const throttle = beginLoginAttempt(user, req.ip);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle);
+    }
+    
+    const result = verifySecondFactor(user.id, { code, recoveryCode });
+    if (!result) {
+      await handleFailedLogin(req, user, 'invalid-second-factor');
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    recordSuccessfulLogin(user);
+    auditLogin(req, user, result.method === 'recovery-code' ? '2fa-recovery-code' : '2fa-totp');
+    
+    updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+    
+    const { accessToken, refreshToken, expiresIn } = createSession(user.id, getClientInfo(req));
+    
+    res.json({
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      ...(result.method === 'recovery-code' && { remainingRecoveryCodes: result.remainingRecoveryCodes }),
+      user: toSessionUser(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(401).json({ error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', refreshTokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { accessToken, refreshToken, expiresIn } = refreshSession(req.body.refreshToken, { ip: req.ip });
+    
+    res.json({
+      message: 'Token refreshed successfully',
+      token: accessToken,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(401).json({ error: error.message });
+  }
+});
+
+// Logout (revokes the session the refresh token belongs to)
+router.post('/logout', refreshTokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = findSessionByRefreshToken(req.body.refreshToken);
+    if (session) {
+      revokeSession(session.id, 'logout');
+    }
+    
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the devices the current user is signed in on (protected route)
+router.get('/sessions', authenticateToken, requireUserSession, (req, res) => {
+  try {
+    const sessions = findSessionsByUserId(req.user.id)
+      .filter(isSessionActive)
+      .sort((a, b) => new Date(b.lastSeenAt || b.createdAt) - new Date(a.lastSeenAt || a.createdAt))
+      .map(session => ({
+        id: session.id,
+        current: session.id === req.sessionId,
+        device: session.device || null,
+        userAgent: session.userAgent || null,
+        ip: session.ip || null,
+        lastSeenIp: session.lastSeenIp || null,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt || session.refreshedAt || session.createdAt,
+        expiresAt: session.expiresAt
+      }));
+    
+    res.json({ sessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out one device (protected route)
+router.delete('/sessions/:id', authenticateToken, requireUserSession, (req, res) => {
+  try {
+    const session = findSessionById(req.params.id);
+    
+    // Other users' sessions are reported as missing, not forbidden
+    if (!session || session.userId !== req.user.id || !isSessionActive(session)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    revokeSession(session.id, 'user-revoked');
+    recordAuditEvent(req, AUDIT_EVENTS.SESSION_REVOKED, {
+      userId: req.user.id,
+      email: req.user.email,
+      metadata: { sessionId: session.id, device: session.device ? session.device.label : null }
+    });
+    
+    res.json({
+      message: session.id === req.sessionId ? 'Signed out of this device' : 'Session revoked',
+      sessionId: session.id
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout from every device (protected route)
+router.post('/logout-all', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const revokedSessions = revokeAllSessions(req.user.id, 'logout-all');
+    recordAuditEvent(req, AUDIT_EVENTS.LOGOUT_ALL, { userId: req.user.id, email: req.user.email, metadata: { revokedSessions } });
+    
+    res.json({
+      message: 'Logged out from all devices',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request a passwordless sign-in link
+router.post('/magic-link', magicLinkValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+    const genericResponse = { message: 'If an account with that email exists, a sign-in link has been sent.' };
+    
+    const user = findUserByEmail(email);
+    if (!user || isUserSuspended(user) || isPendingDeletion(user)) {
+      // Don't reveal if user exists or not
+      return res.json(genericResponse);
+    }
+    
+    const magicLinkToken = createMagicLinkToken(user.id, user.email);
+    await sendMagicLinkEmail(user.email, magicLinkToken);
+    
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign in with a magic link token
+router.post('/magic-link/consume', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Magic link token is required' });
+    }
+    
+    const decoded = consumeMagicLinkToken(token);
+    const user = findUserById(decoded.userId);
+    
+    if (isUserSuspended(user)) {
+      return rejectSuspended(res);
+    }
+    
+    if (isPendingDeletion(user)) {
+      return rejectPendingDeletion(res, user);
+    }
+    
+    // The link replaces the password, not the second factor
+    if (isTwoFactorEnabled(user)) {
+      return res.json(twoFactorChallengeResponse(user));
+    }
+    
+    recordSuccessfulLogin(user);
+    auditLogin(req, user, 'magic-link');
+    updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+    
+    const { accessToken, refreshToken, expiresIn } = createSession(user.id, getClientInfo(req));
+    
+    res.json({
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: toSessionUser(user)
+    });
+  } catch (error) {
+    console.error('Magic link login error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Start an OAuth / OpenID Connect sign-in (authorization code flow with PKCE)
+router.get('/oauth/:provider', async (req, res) => {
+  try {
+    const { provider } = req.params;
+    getProviderConfig(provider);
+    
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = generateCodeVerifier();
+    const state = createOAuthState(provider, { nonce, codeVerifier });
+    
+    const authorizationUrl = await buildAuthorizationUrl(provider, { state, nonce, codeVerifier });
+    
+    res.cookie(OAUTH_STATE_COOKIE, hashOAuthState(state), { ...oauthStateCookieOptions(req), maxAge: OAUTH_STATE_TTL });
+    res.json({ authorizationUrl, state });
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Complete an OAuth sign-in with the code and state the provider redirected back with
+router.post('/oauth/:provider/callback', oauthCallbackValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { provider } = req.params;
+    const { code, state } = req.body;
+    
+    res.clearCookie(OAUTH_STATE_COOKIE, oauthStateCookieOptions(req));
+    if (!isOAuthStateFromThisBrowser(req, state)) {
+      return res.status(401).json({ error: 'Invalid or expired OAuth state' });
+    }
+    
+    const { nonce, codeVerifier } = consumeOAuthState(provider, state);
+    const identity = await exchangeCode(provider, { code, codeVerifier, nonce });
+    
+    let user = findUserByOAuthIdentity(identity.provider, identity.subject);
+    let isNewUser = false;
+    
+    if (!user) {
+      if (!identity.email) {
+        return res.status(400).json({ error: 'Identity provider did not return an email address' });
+      }
+      
+      const existingUser = findUserByEmail(identity.email);
+      if (existingUser) {
+        // Only link when the provider vouches for the address, otherwise anyone
+        // could claim an existing account by registering its email elsewhere
+        if (!identity.emailVerified) {
+          return res.status(409).json({
+            error: 'Account exists',
+            message: 'An account with this email already exists. Sign in with your password to link this provider.'
+          });
+        }
+        // An unverified account may have been registered by someone else
+        // first; the provider-verified owner takes it over without their access
+        if (!existingUser.emailVerified) {
+          resetUnverifiedAccount(existingUser.id);
+          revokeAllApiKeys(existingUser.id);
+          updateUser(existingUser.id, { emailVerified: true });
+        }
+        linkOAuthIdentity(existingUser.id, identity.provider, identity.subject);
+      } else {
+        const newUser = createOAuthUser(identity);
+        recordAuditEvent(req, AUDIT_EVENTS.REGISTER, { userId: newUser.id, actorId: newUser.id, email: newUser.email, metadata: { method: provider } });
+        isNewUser = true;
+      }
+      
+      user = findUserByOAuthIdentity(identity.provider, identity.subject);
+    }
+    
+    if (isUserSuspended(user)) {
+      return rejectSuspended(res);
+    }
+    
+    if (isPendingDeletion(user)) {
+      return rejectPendingDeletion(res, user);
+    }
+    
+    if (isTwoFactorEnabled(user)) {
+      return res.json(twoFactorChallengeResponse(user));
+    }
+    
+    auditLogin(req, user, provider);
+    updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+    
+    const { accessToken, refreshToken, expiresIn } = createSession(user.id, getClientInfo(req));
+    
+    res.json({
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      isNewUser,
+      user: toSessionUser(findUserById(user.id))
+    });
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.status(401).json({ error: error.message });
+  }
+});
+
 // Verify email
 router.post('/verify-email', async (req, res) => {
   try {
@@ -124,6 +692,7 @@ router.post('/verify-email', async (req, res) => {
     }
     
     const decoded = verifyEmailToken(token);
+    recordAuditEvent(req, AUDIT_EVENTS.EMAIL_VERIFIED, { userId: decoded.userId, actorId: decoded.userId, email: decoded.email });
     
     res.json({
       message: 'Email verified successfully',
@@ -153,6 +722,7 @@ router.post('/forgot-password', passwordResetValidation, async (req, res) => {
     
     const resetToken = createPasswordResetToken(user.id, user.email);
     await sendPasswordResetEmail(user.email, resetToken);
+    recordAuditEvent(req, AUDIT_EVENTS.PASSWORD_RESET_REQUESTED, { userId: user.id, email: user.email });
     
     res.json({ message: 'If an account with that email exists, a password reset link has been sent.' });
   } catch (error) {
@@ -171,7 +741,8 @@ router.post('/reset-password', resetPasswordValidation, async (req, res) => {
 
     const { token, password } = req.body;
     
-    await resetPassword(token, password);
+    const decoded = await resetPassword(token, password);
+    recordAuditEvent(req, AUDIT_EVENTS.PASSWORD_RESET_COMPLETED, { userId: decoded.userId, actorId: decoded.userId, email: decoded.email });
     
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
@@ -187,7 +758,8 @@ router.get('/profile', authenticateToken, (req, res) => {
   });
 });
 
-// Update user profile (protected route)
+// Update user profile (protected route). A new email address is not applied
+// here: it stays pending until confirmed from the new mailbox.
 router.put('/profile', authenticateToken, [
   body('name').optional().isLength({ min: 1 }).trim(),
   body('email').optional().isEmail().normalizeEmail()
@@ -199,29 +771,40 @@ router.put('/profile', authenticateToken, [
     }
 
     const { name, email } = req.body;
-    const updates = {};
+    const emailChangeRequested = email && email !== req.user.email;
     
-    if (name) updates.name = name;
-    if (email && email !== req.user.email) {
-      // Check if new email already exists
-      const existingUser = findUserByEmail(email);
-      if (existingUser) {
-        return res.status(400).json({ error: 'Email already in use' });
-      }
-      updates.email = email;
-      updates.emailVerified = false; // Require re-verification
+    if (emailChangeRequested && req.apiKey) {
+      return res.status(403).json({
+        error: 'User session required',
+        message: 'Email address cannot be changed with an API key'
+      });
+    }
+    
+    if (emailChangeRequested && findUserByEmail(email)) {
+      return res.status(400).json({ error: 'Email already in use' });
     }
     
-    const updatedUser = updateUser(req.user.id, updates);
+    let updatedUser = name ? updateUser(req.user.id, { name }) : req.user;
     
-    // If email was changed, send verification email
-    if (email && email !== req.user.email) {
-      const verificationToken = createVerificationToken(updatedUser.id, updatedUser.email);
-      await sendVerificationEmail(updatedUser.email, verificationToken);
+    if (emailChangeRequested) {
+      const { confirmationToken, revertToken, revertExpiresAt } = requestEmailChange(req.user.id, email);
+      
+      await sendEmailChangeConfirmationEmail(email, confirmationToken);
+      await sendEmailChangeNoticeEmail(req.user.email, { newEmail: email, revertToken, revertExpiresAt });
+      
+      recordAuditEvent(req, AUDIT_EVENTS.EMAIL_CHANGE_REQUESTED, {
+        userId: req.user.id,
+        email: req.user.email,
+        metadata: { pendingEmail: email }
+      });
+      
+      updatedUser = { ...updatedUser, pendingEmail: email };
     }
     
     res.json({
-      message: 'Profile updated successfully',
+      message: emailChangeRequested
+        ? 'Profile updated. Check your new email address for a link to confirm the change.'
+        : 'Profile updated successfully',
       user: updatedUser
     });
   } catch (error) {
@@ -230,6 +813,346 @@ router.put('/profile', authenticateToken, [
   }
 });
 
+// Confirm an email change with the link sent to the new address
+router.post('/email-change/confirm', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Email change token is required' });
+    }
+    
+    const { userId, email, previousEmail } = confirmEmailChange(token);
+    recordAuditEvent(req, AUDIT_EVENTS.EMAIL_CHANGED, { userId, actorId: userId, email, metadata: { previousEmail } });
+    
+    res.json({ message: 'Email address changed successfully', email });
+  } catch (error) {
+    console.error('Email change confirmation error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Undo an email change with the link sent to the old address. Signs the
+// account out everywhere and revokes its API keys.
+router.post('/email-change/revert', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Revert token is required' });
+    }
+    
+    const { userId, email, revertedFrom } = revertEmailChange(token);
+    revokeAllApiKeys(userId);
+    recordAuditEvent(req, AUDIT_EVENTS.EMAIL_CHANGE_REVERTED, { userId, actorId: userId, email, metadata: { revertedFrom } });
+    
+    res.json({
+      message: 'Your email address has been kept and you have been signed out everywhere. We recommend resetting your password.',
+      email
+    });
+  } catch (error) {
+    console.error('Email change revert error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Withdraw a pending email change (protected route)
+router.delete('/email-change', authenticateToken, requireUserSession, (req, res) => {
+  try {
+    const pendingEmail = req.user.pendingEmail;
+    const user = cancelEmailChange(req.user.id);
+    recordAuditEvent(req, AUDIT_EVENTS.EMAIL_CHANGE_CANCELLED, { userId: user.id, email: user.email, metadata: { pendingEmail } });
+    
+    res.json({ message: 'Email change cancelled', user });
+  } catch (error) {
+    console.error('Email change cancel error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Start two-factor enrolment (protected route)
+router.post('/2fa/setup', authenticateToken, requireUserSession, (req, res) => {
+  try {
+    const { secret, otpauthUrl } = beginTwoFactorSetup(req.user.id);
+    
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Confirm enrolment with a code from the authenticator app (protected route)
+router.post('/2fa/enable', authenticateToken, requireUserSession, twoFactorCodeValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = enableTwoFactor(req.user.id, req.body.code);
+    recordAuditEvent(req, AUDIT_EVENTS.TWO_FACTOR_ENABLED, { userId: req.user.id, email: req.user.email });
+    
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes securely, they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Turn off two-factor authentication (protected route)
+router.post('/2fa/disable', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = findUserById(req.user.id);
+    
+    if (user.password && !(password && await comparePassword(password, user.password))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+    
+    if (!verifySecondFactor(user.id, { code, recoveryCode })) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    disableTwoFactor(user.id);
+    recordAuditEvent(req, AUDIT_EVENTS.TWO_FACTOR_DISABLED, { userId: user.id, email: user.email });
+    
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Replace the recovery codes (protected route)
+router.post('/2fa/recovery-codes', authenticateToken, requireUserSession, twoFactorCodeValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!verifySecondFactor(req.user.id, { code: req.body.code })) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    const recoveryCodes = regenerateRecoveryCodes(req.user.id);
+    
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create an API key (protected route)
+router.post('/api-keys', authenticateToken, requireUserSession, apiKeyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+    const { key, apiKey } = createApiKey(req.user.id, { name, scopes, expiresAt });
+    recordAuditEvent(req, AUDIT_EVENTS.API_KEY_CREATED, {
+      userId: req.user.id,
+      email: req.user.email,
+      metadata: { apiKeyId: apiKey.id, scopes: apiKey.scopes }
+    });
+    
+    res.status(201).json({
+      message: 'API key created. Store it securely, it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List API keys (protected route)
+router.get('/api-keys', authenticateToken, requireUserSession, (req, res) => {
+  res.json({
+    apiKeys: listApiKeys(req.user.id),
+    availableScopes: API_KEY_SCOPES
+  });
+});
+
+// Revoke an API key (protected route)
+router.delete('/api-keys/:id', authenticateToken, requireUserSession, (req, res) => {
+  try {
+    const apiKey = revokeApiKey(req.user.id, req.params.id);
+    recordAuditEvent(req, AUDIT_EVENTS.API_KEY_REVOKED, { userId: req.user.id, email: req.user.email, metadata: { apiKeyId: apiKey.id } });
+    
+    res.json({
+      message: 'API key revoked',
+      apiKey
+    });
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+const usageValidation = [
+  query('days').optional().isInt({ min: 1, max: 366 }).toInt(),
+  query('months').optional().isInt({ min: 1, max: 13 }).toInt()
+];
+
+// Usage history with daily and monthly breakdowns (protected route)
+router.get('/usage', authenticateToken, usageValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { days, months } = req.query;
+    
+    res.json(getUsageSummary(findUserById(req.user.id), { days, months }));
+  } catch (error) {
+    console.error('Usage history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recent security events on the current user's account (protected route)
+router.get('/security-events', authenticateToken, requireUserSession, [
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const events = findAuditEventsByUserId(req.user.id, req.query.limit || 50);
+    
+    res.json({
+      events: events.map(({ id, timestamp, event, outcome, ip, userAgent, actorId, metadata }) => ({
+        id,
+        timestamp,
+        event,
+        outcome,
+        ip,
+        userAgent,
+        byAdmin: actorId !== null && actorId !== req.user.id,
+        metadata
+      }))
+    });
+  } catch (error) {
+    console.error('Security events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download everything held about the current user (protected route)
+router.get('/export', authenticateToken, requireUserSession, (req, res) => {
+  try {
+    const data = exportUserData(req.user.id);
+    
+    res.setHeader('Content-Disposition', `attachment; filename="opengovdatahub-export-${req.user.id}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request account deletion (protected route). The account is disabled now
+// and permanently erased once the grace period ends.
+router.delete('/account', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { password, confirmEmail } = req.body;
+    const user = findUserById(req.user.id);
+    
+    if (user.password) {
+      if (!password || !(await comparePassword(password, user.password))) {
+        return res.status(401).json({ error: 'Password confirmation failed' });
+      }
+    } else if (!confirmEmail || confirmEmail.toLowerCase() !== user.email) {
+      // OAuth-only accounts confirm by typing their email address
+      return res.status(400).json({ error: 'Please confirm your email address to delete this account' });
+    }
+    
+    const updatedUser = scheduleAccountDeletion(user.id);
+    recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_DELETION_REQUESTED, {
+      userId: user.id,
+      email: user.email,
+      metadata: { deletionScheduledFor: updatedUser.deletionScheduledFor }
+    });
+    
+    res.json({
+      message: 'Account scheduled for deletion. You have been signed out everywhere.',
+      deletionScheduledFor: updatedUser.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a pending deletion during the grace period
+router.post('/account/restore', restoreAccountValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password } = req.body;
+    const user = findUserByEmail(email);
+    
+    // Same throttle and lockout as /login, since this also checks a password
+    const throttle = beginLoginAttempt(user, req.ip);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle);
+    }
+    
+    // One answer for every failure, so this cannot be used to test passwords
+    const rejectRestore = () => res.status(401).json({
+      error: 'Invalid credentials',
+      message: 'The email or password is incorrect, or the account is not scheduled for deletion'
+    });
+    
+    if (!user || !user.password) {
+      recordFailedLogin(null, req.ip);
+      return rejectRestore();
+    }
+    
+    if (!(await comparePassword(password, user.password))) {
+      await handleFailedLogin(req, user, 'invalid-password');
+      return rejectRestore();
+    }
+    
+    if (!isPendingDeletion(user)) {
+      releaseLoginAttempt(user);
+      return rejectRestore();
+    }
+    
+    recordSuccessfulLogin(user);
+    cancelAccountDeletion(user.id);
+    recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_DELETION_CANCELLED, { userId: user.id, actorId: user.id, email: user.email });
+    
+    res.json({ message: 'Account deletion cancelled. You can now log in again.' });
+  } catch (error) {
+    console.error('Account restore error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Verify token (for frontend to check if token is valid)
 router.get('/verify', authenticateToken, (req, res) => {
   res.json({
@@ -0,0 +1,58 @@
+const express = require('express');
+const { verifySignature, processBillingEvent } = require('../auth/billing.js');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../auth/auditLog.js');
+
+const router = express.Router();
+
+// Payment-provider webhook. The signature covers the exact bytes sent, so this
+// route reads the raw body and must be mounted before the JSON body parser.
+router.post('/webhook', express.raw({ type: 'application/json', limit: '1mb' }), (req, res) => {
+  try {
+    const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+    if (!verifySignature(payload, req.headers['billing-signature'])) {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    const result = processBillingEvent(event);
+
+    if (!result.duplicate && result.outcome === 'applied' && result.plan !== result.previousPlan) {
+      const isOrganisation = result.subscriberType === 'organisation';
+      recordAuditEvent(req, AUDIT_EVENTS.PLAN_CHANGED, {
+        userId: isOrganisation ? null : result.subscriberId,
+        metadata: {
+          ...(isOrganisation && { organisationId: result.subscriberId }),
+          from: result.previousPlan,
+          to: result.plan,
+          source: 'billing',
+          eventId: result.id,
+          eventType: result.type
+        }
+      });
+    }
+
+    res.json({
+      received: true,
+      duplicate: result.duplicate,
+      outcome: result.outcome
+    });
+  } catch (error) {
+    console.error('Billing webhook error:', error);
+
+    if (error.message === 'Malformed billing event' || error.message.startsWith('Unknown plan')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Anything else is worth a retry from the provider
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,38 +1,12 @@
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireScope, requirePermission, requirePlan, trackSearchUsage } from '../middleware/auth.js';
 import apiClient from '../api/apiClient.js';
 import cacheManager from '../api/cacheManager.js';
 import searchEngine from '../search/searchEngine.js';
-import { updateUser } from '../auth/auth.js';
+import { PERMISSIONS } from '../auth/roles.js';
 
 const router = express.Router();
 
-// Middleware to track API usage
-const trackUsage = (req, res, next) => {
-  if (req.user) {
-    // Increment user's search count
-    const updatedUser = updateUser(req.user.id, {
-      searchesUsed: (req.user.searchesUsed || 0) + 1,
-      lastSearchAt: new Date().toISOString()
-    });
-    
-    // Check if user has exceeded their limit
-    if (updatedUser.searchesUsed > updatedUser.searchLimit) {
-      return res.status(429).json({
-        error: 'Search limit exceeded',
-        message: `You have reached your limit of ${updatedUser.searchLimit} searches. Please upgrade your plan.`,
-        searchesUsed: updatedUser.searchesUsed,
-        searchLimit: updatedUser.searchLimit,
-        plan: updatedUser.plan
-      });
-    }
-    
-    req.user = updatedUser;
-  }
-  
-  next();
-};
-
 // Get cached data (public endpoint with rate limiting)
 router.get('/', async (req, res) => {
   try {
@@ -80,7 +54,7 @@ router.get('/', async (req, res) => {
 });
 
 // Enhanced data endpoint for authenticated users
-router.get('/enhanced', authenticateToken, trackUsage, async (req, res) => {
+router.get('/enhanced', authenticateToken, requireScope('data:read'), requirePlan(), trackSearchUsage, async (req, res) => {
   try {
     const { type, format = 'json', ...params } = req.query;
     
@@ -109,6 +83,8 @@ router.get('/enhanced', authenticateToken, trackUsage, async (req, res) => {
         });
     }
     
+    res.locals.resultCount = Array.isArray(data) ? data.length : 1;
+    
     // Enhanced response with user context
     const response = {
       data,
@@ -145,23 +121,24 @@ router.get('/enhanced', authenticateToken, trackUsage, async (req, res) => {
   }
 });
 
-// Force refresh cache endpoint (authenticated users only)
-router.post('/refresh', authenticateToken, async (req, res) => {
+// Force refresh cache endpoint (admin operation)
+router.post('/refresh', authenticateToken, requireScope('cache:refresh'), requirePermission(PERMISSIONS.CACHE_REFRESH), async (req, res) => {
   try {
     const { type, ...params } = req.body;
     
+    // Go through the same fetchers as reads, so the refreshed entry has the
+    // same key and tags as the one users hit
     let data;
-    const cacheKey = cacheManager.generateKey(`refresh-${type}`, params);
     
     switch (type) {
       case 'crime':
-        data = await apiClient.refreshCache('https://data.police.uk/api/crimes-street/all-crime', params);
+        data = await apiClient.fetchCrimeData(params, { forceRefresh: true });
         break;
       case 'planning':
-        data = await apiClient.refreshCache('https://www.planning.data.gov.uk/entity', params);
+        data = await apiClient.fetchPlanningData(params, { forceRefresh: true });
         break;
       case 'spending':
-        data = await apiClient.refreshCache('https://opendata.bristol.gov.uk/api/records/1.0/search/', params);
+        data = await apiClient.fetchCouncilSpending(params, { forceRefresh: true });
         break;
       default:
         return res.status(400).json({ 
@@ -193,10 +170,12 @@ router.post('/refresh', authenticateToken, async (req, res) => {
 router.get('/cache/status', async (req, res) => {
   try {
     const cacheStats = apiClient.getCacheStats();
+    const requestStats = apiClient.getRequestStats();
     const searchStats = searchEngine.getStats();
     
     res.json({
       cache: cacheStats,
+      requests: requestStats,
       search: searchStats,
       timestamp: new Date().toISOString()
     });
@@ -210,8 +189,144 @@ router.get('/cache/status', async (req, res) => {
   }
 });
 
-// Proxy endpoint for external APIs (authenticated users)
-router.get('/proxy/*', authenticateToken, trackUsage, async (req, res) => {
+// Clear the API cache (admin operation)
+router.delete('/cache', authenticateToken, requireScope('cache:refresh'), requirePermission(PERMISSIONS.CACHE_CLEAR), async (req, res) => {
+  try {
+    const previousStats = apiClient.getCacheStats();
+    
+    apiClient.clearCache();
+    searchEngine.rebuildIndex();
+    
+    res.json({
+      message: 'Cache cleared successfully',
+      clearedItems: previousStats.totalItems,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Cache clear error:', error);
+    res.status(500).json({
+      error: 'Failed to clear cache',
+      message: error.message
+    });
+  }
+});
+
+const CACHE_FILTERS = ['source', 'dataset', 'area', 'pattern'];
+
+const getCacheFilter = (input) => {
+  return Object.fromEntries(CACHE_FILTERS
+    .filter(name => typeof input[name] === 'string' && input[name].trim())
+    .map(name => [name, input[name].trim()]));
+};
+
+// List cache entries, optionally filtered by tag or key pattern (admin operation)
+router.get('/cache/keys', authenticateToken, requireScope('cache:refresh'), requirePermission(PERMISSIONS.CACHE_INSPECT), (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const entries = cacheManager.list(getCacheFilter(req.query));
+    const offset = (page - 1) * limit;
+    
+    res.json({
+      entries: entries.slice(offset, offset + limit),
+      pagination: {
+        total: entries.length,
+        page,
+        limit,
+        totalPages: Math.ceil(entries.length / limit),
+        hasMore: entries.length > offset + limit
+      }
+    });
+    
+  } catch (error) {
+    console.error('Cache list error:', error);
+    res.status(500).json({
+      error: 'Failed to list cache entries',
+      message: error.message
+    });
+  }
+});
+
+// Inspect one cache entry, including its data (admin operation)
+router.get('/cache/entry', authenticateToken, requireScope('cache:refresh'), requirePermission(PERMISSIONS.CACHE_INSPECT), (req, res) => {
+  try {
+    const { key } = req.query;
+    
+    if (!key) {
+      return res.status(400).json({ error: 'Key parameter is required' });
+    }
+    
+    const entry = cacheManager.inspect(key);
+    if (!entry) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    
+    res.json({ entry });
+    
+  } catch (error) {
+    console.error('Cache inspect error:', error);
+    res.status(500).json({
+      error: 'Failed to inspect cache entry',
+      message: error.message
+    });
+  }
+});
+
+// Purge cache entries by tag and/or key pattern (admin operation)
+router.post('/cache/purge', authenticateToken, requireScope('cache:refresh'), requirePermission(PERMISSIONS.CACHE_CLEAR), (req, res) => {
+  try {
+    const filter = getCacheFilter(req.body || {});
+    
+    // Purging everything goes through DELETE /cache instead
+    if (Object.keys(filter).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to purge by',
+        validFilters: CACHE_FILTERS
+      });
+    }
+    
+    const purgedKeys = cacheManager.purge(filter);
+    if (purgedKeys.length > 0) {
+      searchEngine.removeDocuments(purgedKeys);
+    }
+    
+    res.json({
+      message: 'Cache entries purged successfully',
+      filter,
+      purgedItems: purgedKeys.length,
+      purgedKeys,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({
+      error: 'Failed to purge cache entries',
+      message: error.message
+    });
+  }
+});
+
+// Per-source hit rates since startup and current cache usage (admin operation)
+router.get('/cache/sources', authenticateToken, requireScope('cache:refresh'), requirePermission(PERMISSIONS.CACHE_INSPECT), (req, res) => {
+  try {
+    res.json({
+      sources: cacheManager.getSourceStats(),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Cache sources error:', error);
+    res.status(500).json({
+      error: 'Failed to get cache source statistics',
+      message: error.message
+    });
+  }
+});
+
+// Proxy endpoint for external APIs (admin operation)
+router.get('/proxy/*', authenticateToken, requireScope('data:read'), requirePermission(PERMISSIONS.DATA_PROXY), requirePlan('free', { feature: 'proxyAccess' }), trackSearchUsage, async (req, res) => {
   try {
     const url = req.params[0];
     const options = {
@@ -220,6 +335,7 @@ router.get('/proxy/*', authenticateToken, trackUsage, async (req, res) => {
     };
     
     const data = await apiClient.proxyRequest(url, options);
+    res.locals.resultCount = Array.isArray(data) ? data.length : 1;
     
     res.json({
       data,
@@ -0,0 +1,217 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findUserById } = require('../auth/auth.js');
+const {
+  INVITABLE_ROLES,
+  getMemberRole,
+  findOrganisationById,
+  createOrganisation,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  deleteOrganisation
+} = require('../auth/organisations.js');
+const { authenticateToken, requireUserSession } = require('../middleware/auth.js');
+const { sendOrganisationInvitationEmail } = require('../email/emailService.js');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireUserSession);
+
+// Validation rules
+const createOrganisationValidation = [
+  body('name').isLength({ min: 1, max: 100 }).trim().withMessage('Name is required')
+];
+
+const invitationValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('role').optional().isIn(INVITABLE_ROLES).withMessage(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`)
+];
+
+const memberRoleValidation = [
+  body('role').isIn(INVITABLE_ROLES).withMessage(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`)
+];
+
+// Organisation errors that are the caller's fault rather than ours
+const clientErrorStatus = (error) => {
+  if (error.message.endsWith('not found')) return 404;
+  if (error.message === 'Insufficient organisation privileges') return 403;
+  return 400;
+};
+
+// Members with their names and emails, for display
+const withMemberDetails = (organisation) => ({
+  ...organisation,
+  members: organisation.members.map(member => {
+    const user = findUserById(member.userId);
+    return {
+      ...member,
+      name: user ? user.name : null,
+      email: user ? user.email : null
+    };
+  })
+});
+
+// Only members can see or act on an organisation
+const loadMembership = (req, res, next) => {
+  const organisation = findOrganisationById(req.params.id);
+
+  if (!organisation || !getMemberRole(organisation, req.user.id)) {
+    return res.status(404).json({ error: 'Organisation not found' });
+  }
+
+  req.organisation = organisation;
+  req.organisationRole = getMemberRole(organisation, req.user.id);
+  next();
+};
+
+// Create an organisation owned by the current user
+router.post('/', createOrganisationValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organisation = createOrganisation(req.user.id, { name: req.body.name });
+
+    res.status(201).json({
+      message: 'Organisation created successfully',
+      organisation: withMemberDetails(organisation)
+    });
+  } catch (error) {
+    console.error('Organisation creation error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Accept an invitation sent to the current user's email
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Invitation token is required' });
+    }
+
+    const organisation = acceptInvitation(token, req.user.id);
+
+    res.json({
+      message: `You have joined ${organisation.name}`,
+      organisation: withMemberDetails(organisation)
+    });
+  } catch (error) {
+    console.error('Invitation accept error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// View an organisation, its members and shared quota
+router.get('/:id', loadMembership, (req, res) => {
+  const organisation = withMemberDetails(req.organisation);
+  
+  // Pending invitations are only visible to those who can manage them
+  if (!['owner', 'admin'].includes(req.organisationRole)) {
+    delete organisation.invitations;
+  }
+
+  res.json({
+    organisation,
+    role: req.organisationRole,
+    quota: {
+      plan: organisation.plan,
+      searchesUsed: organisation.searchesUsed,
+      searchLimit: organisation.searchLimit,
+      remainingSearches: Math.max(organisation.searchLimit - organisation.searchesUsed, 0)
+    }
+  });
+});
+
+// Invite someone by email
+router.post('/:id/invitations', loadMembership, invitationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, role } = req.body;
+    const { token, invitation, organisation } = inviteMember(req.organisation.id, req.user.id, { email, role });
+
+    await sendOrganisationInvitationEmail(email, {
+      organisationName: organisation.name,
+      inviterName: req.user.name,
+      token
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      invitation
+    });
+  } catch (error) {
+    console.error('Organisation invitation error:', error);
+    res.status(clientErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Withdraw a pending invitation
+router.delete('/:id/invitations/:invitationId', loadMembership, (req, res) => {
+  try {
+    revokeInvitation(req.organisation.id, req.user.id, req.params.invitationId);
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Invitation revoke error:', error);
+    res.status(clientErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Change a member's role (owner only)
+router.patch('/:id/members/:userId', loadMembership, memberRoleValidation, (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organisation = updateMemberRole(req.organisation.id, req.user.id, req.params.userId, req.body.role);
+
+    res.json({
+      message: 'Member role updated',
+      organisation: withMemberDetails(organisation)
+    });
+  } catch (error) {
+    console.error('Member role update error:', error);
+    res.status(clientErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Remove a member, or leave when removing yourself
+router.delete('/:id/members/:userId', loadMembership, (req, res) => {
+  try {
+    removeMember(req.organisation.id, req.user.id, req.params.userId);
+
+    res.json({
+      message: req.params.userId === req.user.id ? 'You have left the organisation' : 'Member removed'
+    });
+  } catch (error) {
+    console.error('Member removal error:', error);
+    res.status(clientErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Delete the organisation (owner only); members go back to their own quotas
+router.delete('/:id', loadMembership, (req, res) => {
+  try {
+    deleteOrganisation(req.organisation.id, req.user.id);
+
+    res.json({ message: 'Organisation deleted' });
+  } catch (error) {
+    console.error('Organisation deletion error:', error);
+    res.status(clientErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,10 @@
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireUserSession, requireScope, requirePermission, requirePlan, trackSearchUsage } from '../middleware/auth.js';
 import searchEngine from '../search/searchEngine.js';
-import { updateUser } from '../auth/auth.js';
+import { PERMISSIONS } from '../auth/roles.js';
 
 const router = express.Router();
 
-// Middleware to track search usage
-const trackSearchUsage = (req, res, next) => {
-  if (req.user) {
-    // Increment user's search count
-    const updatedUser = updateUser(req.user.id, {
-      searchesUsed: (req.user.searchesUsed || 0) + 1,
-      lastSearchAt: new Date().toISOString()
-    });
-    
-    // Check if user has exceeded their limit
-    if (updatedUser.searchesUsed > updatedUser.searchLimit) {
-      return res.status(429).json({
-        error: 'Search limit exceeded',
-        message: `You have reached your limit of ${updatedUser.searchLimit} searches. Please upgrade your plan.`,
-        searchesUsed: updatedUser.searchesUsed,
-        searchLimit: updatedUser.searchLimit,
-        plan: updatedUser.plan
-      });
-    }
-    
-    req.user = updatedUser;
-  }
-  
-  next();
-};
-
 // Main search endpoint (public with rate limiting)
 router.get('/', async (req, res) => {
   try {
@@ -95,7 +69,7 @@ router.get('/', async (req, res) => {
 });
 
 // Enhanced search endpoint for authenticated users
-router.get('/enhanced', authenticateToken, trackSearchUsage, async (req, res) => {
+router.get('/enhanced', authenticateToken, requireScope('search:read'), requirePlan(), trackSearchUsage, async (req, res) => {
   try {
     const {
       q: query,
@@ -115,7 +89,7 @@ router.get('/enhanced', authenticateToken, trackSearchUsage, async (req, res) =>
     }
     
     const options = {
-      limit: Math.min(parseInt(limit), 200), // Higher limit for authenticated users
+      limit: Math.min(parseInt(limit) || 50, req.entitlements.maxResultLimit), // Limit set by plan
       offset: parseInt(offset) || 0,
       type: type || null,
       sortBy: sort,
@@ -123,6 +97,7 @@ router.get('/enhanced', authenticateToken, trackSearchUsage, async (req, res) =>
     };
     
     const results = searchEngine.search(query.trim(), options);
+    res.locals.resultCount = results.results.length;
     
     // Enhanced response with full data access
     const response = {
@@ -206,16 +181,8 @@ router.get('/suggestions', async (req, res) => {
 });
 
 // Rebuild search index (admin only)
-router.post('/index/rebuild', authenticateToken, async (req, res) => {
+router.post('/index/rebuild', authenticateToken, requireUserSession, requirePermission(PERMISSIONS.SEARCH_INDEX_REBUILD), async (req, res) => {
   try {
-    // Check if user has admin privileges (you might want to implement role-based access)
-    if (req.user.plan !== 'enterprise') {
-      return res.status(403).json({
-        error: 'Insufficient privileges',
-        message: 'Index rebuild requires enterprise plan'
-      });
-    }
-    
     searchEngine.rebuildIndex();
     
     res.json({
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Back up and restore everything under data/. Snapshots are safe to take
+// while the server is running; stop the server before restoring.
+//
+//   node scripts/backup.js snapshot [--out <file>] [--include-signing-keys]
+//   node scripts/backup.js verify <archive>
+//   node scripts/backup.js restore <archive> [--no-safety-snapshot]
+//
+// Snapshots go to BACKUP_DIR (data/backups) unless --out is given. A restore
+// first checks the archive against its manifest and the schema versions this
+// server supports, then saves the current data to BACKUP_DIR before replacing it.
+
+require('dotenv').config();
+const { readFileSync } = require('fs');
+const { createSnapshot, saveSnapshot, readSnapshot, restoreSnapshot } = require('../storage/snapshot.js');
+
+const parseArgs = (argv) => {
+  const args = { command: argv[0], flags: new Set() };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else if (argv[i].startsWith('--')) {
+      args.flags.add(argv[i].slice(2));
+    } else {
+      args.archive = argv[i];
+    }
+  }
+  return args;
+};
+
+const describeManifest = (manifest) => {
+  const versions = Object.entries(manifest.schemaVersions)
+    .map(([name, version]) => `${name} v${version}`)
+    .join(', ');
+  return `taken ${manifest.createdAt} from ${manifest.storageDriver} storage, ${manifest.files.length} files (${versions})`;
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (['verify', 'restore'].includes(args.command) && !args.archive) {
+    console.error(`Usage: node scripts/backup.js ${args.command} <archive>`);
+    process.exit(1);
+  }
+
+  switch (args.command) {
+    case 'snapshot': {
+      const snapshot = createSnapshot({ includeSigningKeys: args.flags.has('include-signing-keys') });
+      const file = saveSnapshot(snapshot, args.out);
+      console.log(`Snapshot written to ${file}`);
+      console.log(`sha256 ${snapshot.sha256}`);
+      break;
+    }
+
+    case 'verify': {
+      const { manifest } = readSnapshot(readFileSync(args.archive));
+      console.log(`OK: ${describeManifest(manifest)}`);
+      break;
+    }
+
+    case 'restore': {
+      const result = restoreSnapshot(readFileSync(args.archive), {
+        safetySnapshot: !args.flags.has('no-safety-snapshot')
+      });
+      if (result.safetySnapshot) {
+        console.log(`Previous data saved to ${result.safetySnapshot}`);
+      }
+      console.log(`Restored snapshot from ${result.createdAt}: ${[...result.collections, ...result.files].join(', ')}`);
+      break;
+    }
+
+    default:
+      console.error('Usage: node scripts/backup.js <snapshot|verify|restore> [archive] [options]');
+      process.exit(1);
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('Backup error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Measure API cache reads, writes and flushes against a throwaway data
+// directory, and compare with rewriting the whole cache file on every change
+// (what the cache did before writes were batched).
+//
+//   node scripts/benchmark-cache.js [--entries 1000,10000] [--ops 2000] [--driver json|sqlite]
+//
+// Each cache entry holds about 1 KB of JSON, roughly one page of API results.
+
+const { mkdtempSync, rmSync, writeFileSync } = require('fs');
+const { join } = require('path');
+const os = require('os');
+const { createCollection } = require('../storage/index.js');
+const { createJsonAdapter } = require('../storage/jsonAdapter.js');
+const { createSqliteAdapter } = require('../storage/sqliteAdapter.js');
+
+const parseArgs = (argv) => {
+  const args = { entries: '1000,10000', ops: '2000', driver: 'json' };
+  for (let i = 0; i < argv.length; i++) {
+    args[argv[i].replace(/^--/, '')] = argv[++i];
+  }
+  return {
+    entries: args.entries.split(',').map(Number),
+    ops: Number(args.ops),
+    driver: args.driver
+  };
+};
+
+const payload = (i) => ({
+  id: i,
+  items: Array.from({ length: 8 }, (_, n) => ({ ref: `item-${i}-${n}`, value: 'x'.repeat(80) }))
+});
+
+const time = (fn) => {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+};
+
+const summarise = (samples) => {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return `mean ${mean.toFixed(3)} ms, p50 ${at(0.5).toFixed(3)} ms, p99 ${at(0.99).toFixed(3)} ms`;
+};
+
+const run = (CacheManager, driver, size, ops) => {
+  const dir = mkdtempSync(join(os.tmpdir(), 'cache-bench-'));
+  const adapter = driver === 'sqlite'
+    ? createSqliteAdapter({ file: join(dir, 'bench.sqlite') })
+    : createJsonAdapter({ dataDir: dir });
+
+  try {
+    const cache = new CacheManager({
+      store: createCollection('apiCache', adapter),
+      maxEntries: size * 2,
+      flushDelay: 60 * 1000
+    });
+
+    for (let i = 0; i < size; i++) {
+      cache.set(`https://example.org/data?page=${i}`, payload(i));
+    }
+    const prefillFlush = time(() => cache.flush());
+
+    const gets = [];
+    const sets = [];
+    for (let i = 0; i < ops; i++) {
+      const key = `https://example.org/data?page=${Math.floor(Math.random() * size)}`;
+      gets.push(time(() => cache.get(key)));
+      sets.push(time(() => cache.set(key, payload(i))));
+    }
+    const pending = cache.getStats().pendingWrites;
+    const batchFlush = time(() => cache.flush());
+
+    // Before batching, every get and set serialised and wrote the whole file
+    const file = join(dir, 'full-rewrite.json');
+    const rewrites = [];
+    for (let i = 0; i < Math.min(ops, 50); i++) {
+      rewrites.push(time(() => writeFileSync(file, JSON.stringify(Object.fromEntries(cache.cache), null, 2))));
+    }
+
+    console.log(`\n${size} entries (${(cache.totalBytes / 1024 / 1024).toFixed(1)} MB), ${driver} storage`);
+    console.log(`  get:               ${summarise(gets)}`);
+    console.log(`  set:               ${summarise(sets)}`);
+    console.log(`  flush prefill:     ${prefillFlush.toFixed(1)} ms for ${size} entries`);
+    console.log(`  flush after run:   ${batchFlush.toFixed(1)} ms for ${pending} changed entries`);
+    console.log(`  full-file rewrite: ${summarise(rewrites)} (previously paid on every get and set)`);
+  } finally {
+    adapter.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const { CacheManager } = await import('../api/cacheManager.js');
+
+  console.log(`Cache benchmark: ${args.ops} random gets and sets per run`);
+  args.entries.forEach(size => run(CacheManager, args.driver, size, args.ops));
+};
+
+main().catch(error => {
+  console.error('Benchmark error:', error);
+  process.exit(1);
+});
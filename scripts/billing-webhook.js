@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Sign a fixture billing event with BILLING_WEBHOOK_SECRET and print it, or
+// send it to a running server, for testing the webhook locally.
+//
+//   node scripts/billing-webhook.js <event> --user <id> [--plan pro] [--send http://localhost:3000]
+//   node scripts/billing-webhook.js <event> --organisation <id> ...
+//   node scripts/billing-webhook.js <event> --customer <id> ...
+//
+// <event> is one of: created, renewed, cancelled, past_due
+
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+const { SUBSCRIPTION_EVENTS, signPayload } = require('../auth/billing.js');
+
+const parseArgs = (argv) => {
+  const args = { event: argv[0] };
+  for (let i = 1; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+};
+
+const buildFixture = (args) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    id: args.id || `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: `subscription.${args.event}`,
+    created: now,
+    data: {
+      userId: args.user,
+      organisationId: args.organisation,
+      customerId: args.customer || 'cus_local_fixture',
+      subscriptionId: args.subscription || 'sub_local_fixture',
+      plan: args.plan || (args.event === 'created' ? 'pro' : undefined),
+      currentPeriodEnd: new Date((now + 30 * 24 * 60 * 60) * 1000).toISOString()
+    }
+  };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!SUBSCRIPTION_EVENTS.includes(`subscription.${args.event}`)) {
+    console.error(`Event must be one of: ${SUBSCRIPTION_EVENTS.map(type => type.split('.')[1]).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!process.env.BILLING_WEBHOOK_SECRET) {
+    console.error('BILLING_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const payload = JSON.stringify(buildFixture(args));
+  const signature = signPayload(payload);
+
+  if (!args.send) {
+    console.log(`Billing-Signature: ${signature}`);
+    console.log(payload);
+    return;
+  }
+
+  const response = await axios.post(`${args.send}/api/billing/webhook`, payload, {
+    headers: { 'Content-Type': 'application/json', 'Billing-Signature': signature },
+    validateStatus: () => true
+  });
+
+  console.log(response.status, JSON.stringify(response.data));
+};
+
+main().catch(error => {
+  console.error('Billing webhook fixture error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Copy every storage collection from one backend to another, by default the
+// data/*.json files into the SQLite database. Stop the server first, then
+// set STORAGE_DRIVER to the new backend before starting it again.
+//
+//   node scripts/migrate-storage.js [--from json] [--to sqlite] [--force]
+//
+// Collections that already hold data in the target are left alone unless
+// --force is given, in which case they are replaced. A source file that
+// cannot be read stops the migration before anything is written.
+
+require('dotenv').config();
+const { COLLECTIONS, createAdapter, createCollection } = require('../storage/index.js');
+
+const parseArgs = (argv) => {
+  const args = { from: 'json', to: 'sqlite', force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--force') {
+      args.force = true;
+    } else {
+      args[argv[i].replace(/^--/, '')] = argv[++i];
+    }
+  }
+  return args;
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.from === args.to) {
+    console.error('--from and --to must be different storage drivers');
+    process.exit(1);
+  }
+
+  const source = createAdapter(args.from, { strict: true });
+  const target = createAdapter(args.to);
+  let skipped = 0;
+
+  try {
+    // Read every source collection first, so a corrupt file fails the whole
+    // migration rather than leaving the target half copied
+    const sourceEntries = Object.fromEntries(Object.keys(COLLECTIONS).map(name => [
+      name,
+      createCollection(name, source).entries()
+    ]));
+
+    Object.keys(COLLECTIONS).forEach(name => {
+      const to = createCollection(name, target);
+      const existing = to.count();
+
+      if (existing > 0 && !args.force) {
+        console.log(`${name}: skipped, ${args.to} already has ${existing} entries (use --force to replace)`);
+        skipped++;
+        return;
+      }
+
+      const entries = sourceEntries[name];
+      to.replace(entries);
+      console.log(`${name}: copied ${entries.length} entries`);
+    });
+  } finally {
+    source.close();
+    target.close();
+  }
+
+  if (skipped > 0) {
+    process.exit(1);
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('Storage migration error:', error.message);
+  process.exit(1);
+}
@@ -1,16 +1,9 @@
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import cacheManager from '../api/cacheManager.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const SEARCH_INDEX_FILE = join(__dirname, '../data/search-index.json');
+import { getCollection } from '../storage/index.js';
 
 class SearchEngine {
   constructor() {
+    this.store = getCollection('searchIndex');
     this.index = this.loadIndex();
     this.stopWords = new Set([
       'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
@@ -21,23 +14,18 @@ class SearchEngine {
   }
 
   loadIndex() {
-    if (!existsSync(SEARCH_INDEX_FILE)) {
-      writeFileSync(SEARCH_INDEX_FILE, JSON.stringify({}, null, 2));
-      return {};
-    }
-    
     try {
-      const data = readFileSync(SEARCH_INDEX_FILE, 'utf8');
-      return JSON.parse(data);
+      return Object.fromEntries(this.store.entries());
     } catch (error) {
       console.error('Error loading search index:', error);
       return {};
     }
   }
 
+  // Stored as one entry per term
   saveIndex() {
     try {
-      writeFileSync(SEARCH_INDEX_FILE, JSON.stringify(this.index, null, 2));
+      this.store.replace(Object.entries(this.index));
     } catch (error) {
       console.error('Error saving search index:', error);
     }
@@ -362,6 +350,23 @@ class SearchEngine {
     return stats;
   }
 
+  // Drop documents (cache keys) from the index after their cache entries are purged
+  removeDocuments(docIds) {
+    const removed = new Set(docIds);
+    
+    Object.keys(this.index).forEach(term => {
+      const matches = this.index[term].filter(match => !removed.has(match.docId));
+      
+      if (matches.length === 0) {
+        delete this.index[term];
+      } else {
+        this.index[term] = matches;
+      }
+    });
+    
+    this.saveIndex();
+  }
+
   // Clear the index
   clearIndex() {
     this.index = {};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const os = require('os');
+const {
+  openSync, writeSync, fsyncSync, closeSync, renameSync, unlinkSync, readFileSync, statSync
+} = require('fs');
+
+// Crash- and concurrency-safe file primitives for the JSON data files.
+//
+// writeFileAtomic writes to a temporary file and renames it over the target,
+// so readers see either the old or the new contents, never a partial write.
+// withFileLock serialises read-modify-write cycles across processes with an
+// advisory `<file>.lock` created with O_EXCL. Only code that takes the lock
+// is excluded; plain readers never wait.
+//
+// Locks are taken synchronously and held only for a synchronous read and
+// write, never across an await, so a holder releases within milliseconds.
+// Waiting blocks the event loop, so a waiter polls in short steps and gives up
+// after STORAGE_LOCK_TIMEOUT_MS rather than stalling every request behind it.
+
+const LOCK_TIMEOUT_MS = parseInt(process.env.STORAGE_LOCK_TIMEOUT_MS) || 2000;
+const LOCK_POLL_MAX_MS = 10;
+const LOCK_STALE_MS = 30 * 1000; // no write holds a lock anywhere near this long
+const HOSTNAME = os.hostname();
+
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+const sleepSync = (ms) => Atomics.wait(sleepBuffer, 0, 0, ms);
+
+const writeFileAtomic = (file, data, { mode = 0o666 } = {}) => {
+  const tempFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+  try {
+    const fd = openSync(tempFile, 'w', mode);
+    try {
+      writeSync(fd, data);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tempFile, file);
+  } catch (error) {
+    try {
+      unlinkSync(tempFile);
+    } catch (cleanupError) {
+      // Already renamed or never created
+    }
+    throw error;
+  }
+};
+
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Identify one particular lock file: every lock holds a random id, and the
+// inode and mtime tell apart locks whose contents were never written
+const readLock = (lockFile) => {
+  try {
+    const { ino, mtimeMs } = statSync(lockFile);
+    return { contents: readFileSync(lockFile, 'utf8'), ino, mtimeMs };
+  } catch (error) {
+    return null; // released in the meantime
+  }
+};
+
+const isSameLock = (a, b) => Boolean(a && b && a.contents === b.contents && a.ino === b.ino && a.mtimeMs === b.mtimeMs);
+
+// The lock, if it was left behind by a crashed process: its owner on this
+// host is gone, or it is older than any write could take
+const findStaleLock = (lockFile) => {
+  const lock = readLock(lockFile);
+  if (!lock) {
+    return null;
+  }
+
+  try {
+    const owner = JSON.parse(lock.contents);
+    if (owner.host === HOSTNAME && !isProcessAlive(owner.pid)) {
+      return lock;
+    }
+  } catch (error) {
+    // Unreadable: being written right now, or truncated by a crash; fall back to its age
+  }
+
+  return Date.now() - lock.mtimeMs > LOCK_STALE_MS ? lock : null;
+};
+
+const breakGuard = (guard, expected = null) => {
+  try {
+    if (!expected || isSameLock(readLock(guard), expected)) {
+      unlinkSync(guard);
+    }
+  } catch (error) {
+    // Already removed
+  }
+};
+
+// Remove a stale lock, but only if it is still the lock that was judged
+// stale: by the time a waiter gets here another process may have broken it
+// and taken a fresh one. Breakers take turns through `<lock>.break`, so none
+// can remove a lock between another's check and its unlink.
+const breakStaleLock = (lockFile, stale) => {
+  const guard = `${lockFile}.break`;
+  try {
+    closeSync(openSync(guard, 'wx'));
+  } catch (error) {
+    // Another process is breaking it; clear a guard left by a crash
+    const abandoned = readLock(guard);
+    if (abandoned && Date.now() - abandoned.mtimeMs > LOCK_STALE_MS) {
+      breakGuard(guard, abandoned);
+    }
+    return;
+  }
+
+  try {
+    if (isSameLock(readLock(lockFile), stale)) {
+      unlinkSync(lockFile);
+    }
+  } catch (error) {
+    // Released in the meantime
+  } finally {
+    breakGuard(guard);
+  }
+};
+
+// Locks this process holds, with a depth count so nested calls re-enter
+const heldLocks = new Map();
+
+const acquireLock = (lockFile) => {
+  const started = Date.now();
+  let delay = 1;
+
+  for (;;) {
+    try {
+      const fd = openSync(lockFile, 'wx');
+      writeSync(fd, JSON.stringify({
+        id: crypto.randomBytes(8).toString('hex'),
+        pid: process.pid,
+        host: HOSTNAME,
+        acquiredAt: new Date().toISOString()
+      }));
+      closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const stale = findStaleLock(lockFile);
+    if (stale) {
+      breakStaleLock(lockFile, stale);
+      continue;
+    }
+
+    if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for lock on ${lockFile}`);
+    }
+
+    sleepSync(delay);
+    delay = Math.min(delay * 2, LOCK_POLL_MAX_MS);
+  }
+};
+
+const releaseLock = (lockFile) => {
+  try {
+    unlinkSync(lockFile);
+  } catch (error) {
+    console.error('Error releasing file lock:', error);
+  }
+};
+
+// Run `fn` while holding the advisory lock for `file`
+const withFileLock = (file, fn) => {
+  const lockFile = `${file}.lock`;
+  const depth = heldLocks.get(lockFile) || 0;
+
+  if (depth === 0) {
+    acquireLock(lockFile);
+  }
+  heldLocks.set(lockFile, depth + 1);
+
+  try {
+    return fn();
+  } finally {
+    if (depth === 0) {
+      heldLocks.delete(lockFile);
+      releaseLock(lockFile);
+    } else {
+      heldLocks.set(lockFile, depth);
+    }
+  }
+};
+
+module.exports = {
+  writeFileAtomic,
+  withFileLock
+};
@@ -0,0 +1,121 @@
+const { join } = require('path');
+const { createJsonAdapter } = require('./jsonAdapter.js');
+const { createSqliteAdapter } = require('./sqliteAdapter.js');
+const { getSchemaVersion, checkSchemaVersion } = require('./schema.js');
+
+// Storage for users, tokens, sessions, the API cache and the search index.
+// STORAGE_DRIVER picks the backend: `json` (default) keeps one file per
+// collection under data/, `sqlite` keeps them all in one embedded database.
+// scripts/migrate-storage.js copies the JSON files into SQLite.
+
+const DATA_DIR = join(__dirname, '../data');
+
+// `file` is the collection's JSON file. Collections with a `key` are arrays of
+// records identified by that field; the rest are objects keyed by entry.
+const COLLECTIONS = {
+  users: { file: 'users.json', key: 'id' },
+  verificationTokens: { file: 'verification-tokens.json', key: 'token' },
+  sessions: { file: 'sessions.json', key: 'id' },
+  apiCache: { file: 'api-cache.json' },
+  searchIndex: { file: 'search-index.json' }
+};
+
+const getStorageDriver = () => process.env.STORAGE_DRIVER || 'json';
+
+// `strict` makes unreadable JSON files throw rather than read as empty
+const createAdapter = (driver = getStorageDriver(), { strict = false } = {}) => {
+  switch (driver) {
+    case 'json':
+      return createJsonAdapter({ dataDir: DATA_DIR, strict });
+    case 'sqlite':
+      return createSqliteAdapter({ file: process.env.STORAGE_SQLITE_FILE || join(DATA_DIR, 'opengovdatahub.sqlite') });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected json or sqlite)`);
+  }
+};
+
+// A named collection. Values are returned as copies: change them and `set`
+// them back to persist, or use `update` when the change depends on the
+// current value and must not lose a concurrent write. Without an explicit
+// adapter the collection uses the configured backend, opened on first use so
+// that .env has been loaded by then.
+const createCollection = (name, adapter = null) => {
+  const definition = COLLECTIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown storage collection: ${name}`);
+  }
+
+  const backend = () => adapter || getAdapter();
+
+  return {
+    name,
+    get: (key) => backend().get(name, definition, key),
+    set: (key, value) => backend().setMany(name, definition, [[key, value]]),
+    // Read, change and write one value in a single locked step. `fn` gets the
+    // current value (undefined if absent) and returns the new one, or
+    // undefined to leave it unchanged; errors it throws reach the caller.
+    // Returns the value now stored.
+    update: (key, fn) => backend().update(name, definition, key, fn),
+    // Add a value unless its key is taken or `conflicts` matches an existing
+    // value (a unique field, say); returns whether it was added
+    insert: (key, value, conflicts = () => false) => backend().insert(name, definition, key, value, conflicts),
+    setMany: (entries) => backend().setMany(name, definition, entries),
+    delete: (key) => backend().deleteMany(name, definition, [key]) > 0,
+    deleteMany: (keys) => (keys.length > 0 ? backend().deleteMany(name, definition, keys) : 0),
+    // Remove every value matching `predicate`; returns how many were removed
+    deleteWhere: (predicate) => {
+      const keys = backend().entries(name, definition)
+        .filter(([, value]) => predicate(value))
+        .map(([key]) => key);
+      return keys.length > 0 ? backend().deleteMany(name, definition, keys) : 0;
+    },
+    entries: () => backend().entries(name, definition),
+    values: () => backend().entries(name, definition).map(([, value]) => value),
+    replace: (entries) => backend().replace(name, definition, entries),
+    clear: () => backend().replace(name, definition, []),
+    count: () => backend().count(name, definition)
+  };
+};
+
+let defaultAdapter = null;
+
+const getAdapter = () => {
+  if (!defaultAdapter) {
+    defaultAdapter = createAdapter();
+  }
+  return defaultAdapter;
+};
+
+const getCollection = (name) => createCollection(name);
+
+// Run `fn` with every collection held still, for a consistent snapshot
+const withSnapshotLock = (fn, adapter = getAdapter()) => {
+  return adapter.withSnapshotLock(Object.values(COLLECTIONS), fn);
+};
+
+// Bring every collection up to its current schema version (see schema.js).
+// Run at startup; throws if any collection was written by a newer version.
+const migrateStorage = (adapter = getAdapter()) => {
+  return Object.entries(COLLECTIONS).map(([name, definition]) => {
+    const from = adapter.schemaVersion(name, definition);
+    const to = getSchemaVersion(name);
+
+    checkSchemaVersion(name, from);
+    if (from < to) {
+      adapter.upgrade(name, definition);
+    }
+
+    return { collection: name, from, to };
+  });
+};
+
+module.exports = {
+  COLLECTIONS,
+  DATA_DIR,
+  getStorageDriver,
+  createAdapter,
+  createCollection,
+  getCollection,
+  withSnapshotLock,
+  migrateStorage
+};
@@ -0,0 +1,205 @@
+const { readFileSync, existsSync, mkdirSync } = require('fs');
+const { join } = require('path');
+const { writeFileAtomic, withFileLock } = require('./files.js');
+const { getSchemaVersion, upgradeEntries, isSchemaVersionError } = require('./schema.js');
+
+// One JSON file per collection, in the same layout the files have always had:
+// an array of records for collections with a `key` field, otherwise an object
+// keyed by entry, wrapped as `{ schemaVersion, data }`. Files without the
+// wrapper predate schema versioning and are read as version 1. Every change
+// rewrites the whole file, which is fine for small deployments; use the SQLite
+// adapter beyond that.
+//
+// Changes are queued per file and applied in order. Each drain of the queue
+// holds the file's lock, re-reads the file, applies every pending change and
+// writes the result atomically, so several processes can share a data
+// directory without losing each other's updates.
+//
+// An unreadable file reads as empty so that one bad file does not take the
+// server down; with `strict` (for migrations) the read throws instead.
+
+const createJsonAdapter = ({ dataDir, strict = false }) => {
+  mkdirSync(dataDir, { recursive: true });
+
+  const pathFor = (definition) => join(dataDir, definition.file);
+
+  const isVersioned = (contents) => {
+    return !Array.isArray(contents) && typeof contents.schemaVersion === 'number' && 'data' in contents;
+  };
+
+  const readFile = (name, definition) => {
+    const file = pathFor(definition);
+    if (!existsSync(file)) {
+      return { schemaVersion: getSchemaVersion(name), data: definition.key ? [] : {} };
+    }
+    const contents = JSON.parse(readFileSync(file, 'utf8'));
+    return isVersioned(contents) ? contents : { schemaVersion: 1, data: contents };
+  };
+
+  // Entries at the current schema version, migrated in memory if the file is
+  // older. Throws if the file is newer.
+  const parseEntries = (name, definition) => {
+    const { schemaVersion, data } = readFile(name, definition);
+    const entries = definition.key
+      ? data.map(record => [record[definition.key], record])
+      : Object.entries(data);
+    return upgradeEntries(name, entries, schemaVersion);
+  };
+
+  const readEntries = (name, definition) => {
+    try {
+      return parseEntries(name, definition);
+    } catch (error) {
+      if (isSchemaVersionError(error)) {
+        throw error;
+      }
+      if (strict) {
+        throw new Error(`Cannot read ${pathFor(definition)}: ${error.message}`);
+      }
+      console.error(`Error reading ${name} file:`, error);
+      return [];
+    }
+  };
+
+  const writeEntries = (name, definition, entries) => {
+    const data = definition.key
+      ? entries.map(([, record]) => record)
+      : Object.fromEntries(entries);
+
+    writeFileAtomic(pathFor(definition), JSON.stringify({ schemaVersion: getSchemaVersion(name), data }, null, 2));
+  };
+
+  // Pending changes per file. A change is a function that edits the current
+  // entries (a Map) in place and returns its result.
+  const queues = new Map();
+
+  const drain = (name, definition, queue) => {
+    queue.draining = true;
+    try {
+      while (queue.pending.length > 0) {
+        const batch = queue.pending.splice(0);
+
+        try {
+          withFileLock(pathFor(definition), () => {
+            // An unreadable or newer file fails the write rather than being overwritten
+            const entries = new Map(parseEntries(name, definition));
+            batch.forEach(change => {
+              try {
+                change.result = change.apply(entries);
+              } catch (error) {
+                change.error = error;
+              }
+            });
+            writeEntries(name, definition, [...entries]);
+          });
+        } catch (error) {
+          console.error(`Error writing ${name} file:`, error);
+          const failure = isSchemaVersionError(error) ? error : new Error(`Failed to save ${name} data`);
+          batch.forEach(change => {
+            change.error = failure;
+          });
+        }
+      }
+    } finally {
+      queue.draining = false;
+    }
+  };
+
+  // Queue a change and apply it. A change queued while the queue is being
+  // drained (from inside another change) is applied by that drain.
+  const applyChange = (name, definition, apply) => {
+    const file = pathFor(definition);
+    if (!queues.has(file)) {
+      queues.set(file, { pending: [], draining: false });
+    }
+    const queue = queues.get(file);
+    const change = { apply, result: undefined, error: null };
+
+    queue.pending.push(change);
+    if (!queue.draining) {
+      drain(name, definition, queue);
+    }
+
+    if (change.error) {
+      throw change.error;
+    }
+    return change.result;
+  };
+
+  return {
+    driver: 'json',
+
+    entries: readEntries,
+
+    get(name, definition, key) {
+      const entry = readEntries(name, definition).find(([entryKey]) => entryKey === key);
+      return entry ? entry[1] : undefined;
+    },
+
+    setMany(name, definition, entries) {
+      applyChange(name, definition, current => {
+        entries.forEach(([key, value]) => current.set(key, value));
+      });
+    },
+
+    update(name, definition, key, fn) {
+      return applyChange(name, definition, current => {
+        const value = fn(current.get(key));
+        if (value === undefined) {
+          return current.get(key);
+        }
+        current.set(key, value);
+        return value;
+      });
+    },
+
+    insert(name, definition, key, value, conflicts) {
+      return applyChange(name, definition, current => {
+        if (current.has(key) || [...current.values()].some(conflicts)) {
+          return false;
+        }
+        current.set(key, value);
+        return true;
+      });
+    },
+
+    deleteMany(name, definition, keys) {
+      return applyChange(name, definition, current => keys.filter(key => current.delete(key)).length);
+    },
+
+    replace(name, definition, entries) {
+      applyChange(name, definition, current => {
+        current.clear();
+        entries.forEach(([key, value]) => current.set(key, value));
+      });
+    },
+
+    count(name, definition) {
+      return readEntries(name, definition).length;
+    },
+
+    schemaVersion(name, definition) {
+      return readFile(name, definition).schemaVersion;
+    },
+
+    // Rewrite the file at the current schema version
+    upgrade(name, definition) {
+      applyChange(name, definition, () => {});
+    },
+
+    // Run `fn` while no process can write any of the given collections
+    withSnapshotLock(definitions, fn) {
+      const files = definitions.map(pathFor).sort();
+      const lockAll = (remaining) => (remaining.length === 0
+        ? fn()
+        : withFileLock(remaining[0], () => lockAll(remaining.slice(1))));
+      return lockAll(files);
+    },
+
+    close() {}
+  };
+};
+
+module.exports = {
+  createJsonAdapter
+};
@@ -0,0 +1,114 @@
+const { DEFAULT_ROLE } = require('../auth/roles.js');
+const { DEFAULT_PLAN, getPlan, getBillingPeriod } = require('../auth/plans.js');
+
+// Schema versions of the stored collections. To change the shape of a
+// collection's values, add a migration with the next version number: `up`
+// turns one value (given its key) from the previous version into the new one. Data from before
+// versioning (bare JSON files, SQLite tables without a recorded version) is
+// version 1. Data with a version newer than this code knows is never loaded
+// or written, so an older server cannot corrupt it.
+
+// Users created by complete-backend.js lack the fields auth/auth.js adds
+const upgradeUserRecord = (user) => {
+  const plan = user.plan || DEFAULT_PLAN;
+  const upgraded = {
+    provider: user.password ? 'email' : ((user.oauthIdentities || [])[0] || {}).provider || 'email',
+    role: DEFAULT_ROLE,
+    plan,
+    searchesUsed: 0,
+    searchLimit: getPlan(plan).monthlyQuota,
+    lastLoginAt: null,
+    ...user
+  };
+
+  if (!upgraded.billingPeriodStart || !upgraded.billingPeriodEnd) {
+    const billingPeriod = getBillingPeriod(upgraded.createdAt || new Date().toISOString());
+    upgraded.billingPeriodStart = billingPeriod.start;
+    upgraded.billingPeriodEnd = billingPeriod.end;
+  }
+
+  return upgraded;
+};
+
+// Cache keys are upstream URLs; the source tag is their host without "www."
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return 'api';
+  }
+};
+
+const MIGRATIONS = {
+  users: [
+    {
+      version: 2,
+      description: 'Fill in provider, role, plan, quota and billing period on older user records',
+      up: upgradeUserRecord
+    }
+  ],
+  verificationTokens: [
+    {
+      version: 2,
+      description: 'Give email verification tokens an explicit type',
+      up: (token) => (token.type ? token : { ...token, type: 'email-verification' })
+    }
+  ],
+  sessions: [],
+  apiCache: [
+    {
+      version: 2,
+      description: 'Give cache entries separate soft and hard expiry times; older entries are never served stale',
+      up: (item) => {
+        if (item.staleAt) {
+          return item;
+        }
+        const expiresAt = item.timestamp + (item.ttl || 3600) * 1000;
+        return { ...item, staleAt: expiresAt, expiresAt, hits: 0, request: null };
+      }
+    },
+    {
+      version: 3,
+      description: 'Tag cache entries with their source, dataset and area; older entries get the host of their key as source',
+      up: (item, key) => {
+        if (item.tags) {
+          return item;
+        }
+        const { source, ...rest } = item;
+        return { ...rest, tags: { source: hostOf(key), dataset: null, area: null } };
+      }
+    }
+  ],
+  searchIndex: []
+};
+
+const getSchemaVersion = (name) => {
+  return MIGRATIONS[name].reduce((version, migration) => Math.max(version, migration.version), 1);
+};
+
+const checkSchemaVersion = (name, version) => {
+  const supported = getSchemaVersion(name);
+  if (version > supported) {
+    throw new Error(`${name} data is at schema version ${version} but this server supports up to ${supported}; upgrade the server first`);
+  }
+};
+
+const isSchemaVersionError = (error) => /at schema version \d+ but this server/.test(error.message);
+
+// Migrate [key, value] entries from `fromVersion` to the current version
+const upgradeEntries = (name, entries, fromVersion) => {
+  checkSchemaVersion(name, fromVersion);
+
+  return MIGRATIONS[name]
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .reduce((current, migration) => current.map(([key, value]) => [key, migration.up(value, key)]), entries);
+};
+
+module.exports = {
+  MIGRATIONS,
+  getSchemaVersion,
+  checkSchemaVersion,
+  isSchemaVersionError,
+  upgradeEntries
+};
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { readFileSync, existsSync, mkdirSync, unlinkSync } = require('fs');
+const { join, dirname } = require('path');
+const { Readable } = require('stream');
+const { COLLECTIONS, DATA_DIR, getCollection, getStorageDriver, withSnapshotLock } = require('./index.js');
+const { getSchemaVersion, checkSchemaVersion, upgradeEntries } = require('./schema.js');
+const { writeFileAtomic, withFileLock } = require('./files.js');
+
+// Point-in-time snapshots of everything under data/, as a .tar.gz holding a
+// manifest.json (schema versions and a SHA-256 of every file) plus:
+//
+//   collections/<name>.json  storage collections, as { schemaVersion, entries }
+//   files/<name>             the other data files, byte for byte
+//
+// The whole snapshot is one point in time: every data file is locked, then
+// every collection (or, on SQLite, one read transaction is opened), and only
+// then is anything read. Writers that touch several take data file locks
+// before collection locks, and billing-events.json before organisations.json,
+// so taking the data file locks in path order and the collections last cannot
+// deadlock with them. Private signing keys are only included on request.
+
+const SNAPSHOT_FORMAT = 1;
+const BACKUP_DIR = process.env.BACKUP_DIR || join(DATA_DIR, 'backups');
+const SIGNING_KEYS_FILE = process.env.JWT_SIGNING_KEYS_FILE || join(DATA_DIR, 'signing-keys.json');
+
+// Data files outside the storage collections (usage-events.json is the
+// pre-JSONL usage log, still accepted from older snapshots)
+const DATA_FILES = ['organisations.json', 'api-keys.json', 'usage-events.jsonl', 'usage-events.json', 'billing-events.json', 'audit-log.jsonl'];
+const SIGNING_KEYS_ENTRY = 'signing-keys.json';
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Minimal ustar reader and writer: regular files only, names under 100 bytes
+const TAR_BLOCK = 512;
+
+const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(TAR_BLOCK);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o600, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime / 1000), 12), 136);
+  header.write(' '.repeat(8), 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(octal(checksum, 7) + ' ', 148);
+  return header;
+};
+
+const tarBlocks = (files, mtime) => {
+  const blocks = [];
+  files.forEach(({ path, contents }) => {
+    blocks.push(tarHeader(path, contents.length, mtime), contents);
+    const padding = (TAR_BLOCK - (contents.length % TAR_BLOCK)) % TAR_BLOCK;
+    blocks.push(Buffer.alloc(padding));
+  });
+  blocks.push(Buffer.alloc(TAR_BLOCK * 2));
+  return blocks;
+};
+
+const unpackTar = (buffer) => {
+  const files = new Map();
+  let offset = 0;
+
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '').trim();
+    const name = field(0, 100);
+    const size = parseInt(field(124, 12), 8);
+    const type = field(156, 1);
+
+    if (!name || Number.isNaN(size) || offset + TAR_BLOCK + size > buffer.length) {
+      throw new Error('Invalid snapshot: corrupt archive');
+    }
+    if (type === '0' || type === '') {
+      files.set(name, buffer.subarray(offset + TAR_BLOCK, offset + TAR_BLOCK + size));
+    }
+
+    offset += TAR_BLOCK + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+  }
+
+  return files;
+};
+
+const readDataFile = (path) => (existsSync(path) ? readFileSync(path) : null);
+
+// The data files a snapshot covers, in the order their locks are taken. The
+// lock file goes beside the keys, so only lock a directory that exists.
+const lockedPaths = (includeSigningKeys) => {
+  const paths = DATA_FILES.map(file => join(DATA_DIR, file));
+  if (includeSigningKeys && existsSync(dirname(SIGNING_KEYS_FILE))) {
+    paths.push(SIGNING_KEYS_FILE);
+  }
+  return paths.sort();
+};
+
+// Run `fn` while no process can write any data file or collection
+const withAllLocks = (paths, fn) => (paths.length === 0
+  ? withSnapshotLock(fn)
+  : withFileLock(paths[0], () => withAllLocks(paths.slice(1), fn)));
+
+// Read everything into memory and lay it out as tar blocks
+const collectSnapshot = ({ includeSigningKeys = false } = {}) => {
+  const createdAt = new Date();
+  const files = [];
+
+  withAllLocks(lockedPaths(includeSigningKeys), () => {
+    Object.keys(COLLECTIONS).forEach(name => {
+      const contents = JSON.stringify({ schemaVersion: getSchemaVersion(name), entries: getCollection(name).entries() });
+      files.push({ path: `collections/${name}.json`, contents: Buffer.from(contents) });
+    });
+
+    DATA_FILES.forEach(file => {
+      const contents = readDataFile(join(DATA_DIR, file));
+      if (contents) {
+        files.push({ path: `files/${file}`, contents });
+      }
+    });
+
+    const signingKeys = includeSigningKeys ? readDataFile(SIGNING_KEYS_FILE) : null;
+    if (signingKeys) {
+      files.push({ path: `files/${SIGNING_KEYS_ENTRY}`, contents: signingKeys });
+    }
+  });
+
+  const manifest = {
+    format: SNAPSHOT_FORMAT,
+    createdAt: createdAt.toISOString(),
+    storageDriver: getStorageDriver(),
+    schemaVersions: Object.fromEntries(Object.keys(COLLECTIONS).map(name => [name, getSchemaVersion(name)])),
+    files: files.map(({ path, contents }) => ({ path, size: contents.length, sha256: sha256(contents) }))
+  };
+
+  return {
+    manifest,
+    blocks: tarBlocks([
+      { path: 'manifest.json', contents: Buffer.from(JSON.stringify(manifest, null, 2)) },
+      ...files
+    ], createdAt.getTime()),
+    fileName: `snapshot-${manifest.createdAt.replace(/[:.]/g, '-')}.tar.gz`
+  };
+};
+
+const createSnapshot = (options) => {
+  const { blocks, ...snapshot } = collectSnapshot(options);
+  const archive = zlib.gzipSync(Buffer.concat(blocks));
+
+  return { ...snapshot, archive, sha256: sha256(archive) };
+};
+
+// Like createSnapshot, but compressed as it is read, so a download does not
+// hold up the event loop while the whole archive is gzipped
+const createSnapshotStream = (options) => {
+  const { blocks, ...snapshot } = collectSnapshot(options);
+
+  return { ...snapshot, stream: Readable.from(blocks).pipe(zlib.createGzip()) };
+};
+
+// Write a snapshot to BACKUP_DIR (or `file`); it holds password hashes, so
+// only the server's user can read it
+const saveSnapshot = (snapshot, file = join(BACKUP_DIR, snapshot.fileName)) => {
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileAtomic(file, snapshot.archive, { mode: 0o600 });
+  return file;
+};
+
+const isAllowedPath = (path) => {
+  const [folder, name, ...rest] = path.split('/');
+  if (rest.length > 0) {
+    return false;
+  }
+  if (folder === 'collections') {
+    return Object.keys(COLLECTIONS).some(collection => name === `${collection}.json`);
+  }
+  return folder === 'files' && (DATA_FILES.includes(name) || name === SIGNING_KEYS_ENTRY);
+};
+
+// Unpack an archive and check it against its manifest: every listed file is
+// present with the right size and checksum, nothing unlisted is present, and
+// no collection is newer than this server supports
+const readSnapshot = (archive) => {
+  let files;
+  try {
+    files = unpackTar(zlib.gunzipSync(archive));
+  } catch (error) {
+    throw new Error(error.message.startsWith('Invalid snapshot') ? error.message : 'Invalid snapshot: not a snapshot archive');
+  }
+
+  if (!files.has('manifest.json')) {
+    throw new Error('Invalid snapshot: manifest.json is missing');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid snapshot: manifest.json is not valid JSON');
+  }
+
+  if (manifest.format !== SNAPSHOT_FORMAT || !Array.isArray(manifest.files)) {
+    throw new Error(`Invalid snapshot: unsupported format ${manifest.format}`);
+  }
+
+  const listed = new Set(manifest.files.map(file => file.path));
+  const unlisted = [...files.keys()].filter(path => path !== 'manifest.json' && !listed.has(path));
+  if (unlisted.length > 0) {
+    throw new Error(`Invalid snapshot: ${unlisted[0]} is not in the manifest`);
+  }
+
+  manifest.files.forEach(({ path, size, sha256: checksum }) => {
+    if (!isAllowedPath(path)) {
+      throw new Error(`Invalid snapshot: unexpected file ${path}`);
+    }
+    const contents = files.get(path);
+    if (!contents) {
+      throw new Error(`Invalid snapshot: ${path} is missing`);
+    }
+    if (contents.length !== size || sha256(contents) !== checksum) {
+      throw new Error(`Invalid snapshot: checksum mismatch for ${path}`);
+    }
+  });
+
+  const collections = {};
+  Object.keys(COLLECTIONS).forEach(name => {
+    const contents = files.get(`collections/${name}.json`);
+    if (!contents) {
+      return;
+    }
+    const { schemaVersion, entries } = JSON.parse(contents.toString('utf8'));
+    if (schemaVersion !== (manifest.schemaVersions || {})[name]) {
+      throw new Error(`Invalid snapshot: ${name} schema version does not match the manifest`);
+    }
+    checkSchemaVersion(name, schemaVersion);
+    collections[name] = { schemaVersion, entries };
+  });
+
+  return { manifest, collections, files };
+};
+
+// Replace the current data with a verified snapshot. Stop the server first.
+// Unless `safetySnapshot` is false, the current data is saved to BACKUP_DIR
+// before anything is overwritten. Everything a snapshot covers is replaced:
+// collections and data files missing from it are emptied and removed, so
+// nothing newer is left beside the restored data. The signing keys are the
+// exception; they are only replaced when the snapshot includes them.
+const restoreSnapshot = (archive, { safetySnapshot = true } = {}) => {
+  const { manifest, collections, files } = readSnapshot(archive);
+  const restoresSigningKeys = files.has(`files/${SIGNING_KEYS_ENTRY}`);
+
+  const savedTo = safetySnapshot
+    ? saveSnapshot(createSnapshot({ includeSigningKeys: true }), join(BACKUP_DIR, `pre-restore-${Date.now()}.tar.gz`))
+    : null;
+
+  const restoredFiles = [];
+  mkdirSync(DATA_DIR, { recursive: true });
+  if (restoresSigningKeys) {
+    mkdirSync(dirname(SIGNING_KEYS_FILE), { recursive: true });
+  }
+
+  withAllLocks(lockedPaths(restoresSigningKeys), () => {
+    Object.keys(COLLECTIONS).forEach(name => {
+      if (collections[name]) {
+        const { schemaVersion, entries } = collections[name];
+        getCollection(name).replace(upgradeEntries(name, entries, schemaVersion));
+      } else {
+        getCollection(name).clear();
+      }
+    });
+
+    DATA_FILES.forEach(file => {
+      const contents = files.get(`files/${file}`);
+      const path = join(DATA_DIR, file);
+      if (contents) {
+        writeFileAtomic(path, contents);
+        restoredFiles.push(file);
+      } else if (existsSync(path)) {
+        unlinkSync(path);
+      }
+    });
+
+    if (restoresSigningKeys) {
+      writeFileAtomic(SIGNING_KEYS_FILE, files.get(`files/${SIGNING_KEYS_ENTRY}`), { mode: 0o600 });
+      restoredFiles.push(SIGNING_KEYS_ENTRY);
+    }
+  });
+
+  return {
+    createdAt: manifest.createdAt,
+    collections: Object.keys(collections),
+    files: restoredFiles,
+    safetySnapshot: savedTo
+  };
+};
+
+module.exports = {
+  BACKUP_DIR,
+  createSnapshot,
+  createSnapshotStream,
+  saveSnapshot,
+  readSnapshot,
+  restoreSnapshot
+};
@@ -0,0 +1,196 @@
+const { mkdirSync } = require('fs');
+const { dirname } = require('path');
+const { getSchemaVersion, checkSchemaVersion, upgradeEntries, isSchemaVersionError } = require('./schema.js');
+
+// Embedded SQLite database, one key/value table per collection with values
+// stored as JSON. Changes touch only the rows involved, and the database is
+// in WAL mode so readers are not blocked while another process writes.
+// Each table's schema version is kept in `_schema`; an older table is
+// migrated in a transaction when it is first used.
+
+const loadDriver = () => {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+};
+
+const createSqliteAdapter = ({ file }) => {
+  const Database = loadDriver();
+
+  mkdirSync(dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('busy_timeout = 5000'); // first, so the pragmas below wait for other processes too
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS _schema (collection TEXT PRIMARY KEY, version INTEGER NOT NULL)');
+
+  const getVersion = db.prepare('SELECT version FROM _schema WHERE collection = ?');
+  const setVersion = db.prepare('INSERT INTO _schema (collection, version) VALUES (?, ?) ON CONFLICT(collection) DO UPDATE SET version = excluded.version');
+  const tableExists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?");
+
+  // A table with rows but no recorded version predates versioning
+  const storedVersion = (name) => {
+    const row = getVersion.get(name);
+    if (row) {
+      return row.version;
+    }
+    if (tableExists.get(name) && db.prepare(`SELECT 1 FROM "${name}" LIMIT 1`).get()) {
+      return 1;
+    }
+    return getSchemaVersion(name);
+  };
+
+  const upsertAll = (statements, entries) => {
+    entries.forEach(([key, value]) => statements.upsert.run(String(key), JSON.stringify(value)));
+  };
+
+  const prepareTable = db.transaction((name) => {
+    const version = storedVersion(name);
+    checkSchemaVersion(name, version);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+    const statements = {
+      all: db.prepare(`SELECT key, value FROM "${name}" ORDER BY rowid`),
+      get: db.prepare(`SELECT value FROM "${name}" WHERE key = ?`),
+      upsert: db.prepare(`INSERT INTO "${name}" (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`),
+      delete: db.prepare(`DELETE FROM "${name}" WHERE key = ?`),
+      clear: db.prepare(`DELETE FROM "${name}"`),
+      count: db.prepare(`SELECT COUNT(*) AS count FROM "${name}"`)
+    };
+
+    if (version < getSchemaVersion(name)) {
+      const entries = statements.all.all().map(row => [row.key, JSON.parse(row.value)]);
+      upsertAll(statements, upgradeEntries(name, entries, version));
+    }
+    setVersion.run(name, getSchemaVersion(name));
+
+    return statements;
+  });
+
+  // Prepared statements per collection, created (and migrated) on first use
+  const tables = new Map();
+
+  const table = (name) => {
+    if (!tables.has(name)) {
+      // Immediate, since it may write: upgrading a read to a write fails at once when another process is writing
+      tables.set(name, prepareTable.immediate(name));
+    }
+    return tables.get(name);
+  };
+
+  const setMany = db.transaction((name, entries) => upsertAll(table(name), entries));
+
+  const deleteMany = db.transaction((name, keys) => {
+    const statements = table(name);
+    return keys.reduce((deleted, key) => deleted + statements.delete.run(String(key)).changes, 0);
+  });
+
+  // Run with .immediate() so the write lock is held from the read onwards
+  const update = db.transaction((name, key, fn) => {
+    const statements = table(name);
+    const row = statements.get.get(String(key));
+    const current = row ? JSON.parse(row.value) : undefined;
+    const value = fn(current);
+    if (value === undefined) {
+      return current;
+    }
+    statements.upsert.run(String(key), JSON.stringify(value));
+    return value;
+  });
+
+  const insert = db.transaction((name, key, value, conflicts) => {
+    const statements = table(name);
+    if (statements.get.get(String(key)) || statements.all.all().some(row => conflicts(JSON.parse(row.value)))) {
+      return false;
+    }
+    statements.upsert.run(String(key), JSON.stringify(value));
+    return true;
+  });
+
+  const replace = db.transaction((name, entries) => {
+    const statements = table(name);
+    statements.clear.run();
+    upsertAll(statements, entries);
+  });
+
+  const wrapWrite = (name, write) => {
+    try {
+      return write();
+    } catch (error) {
+      console.error(`Error writing ${name} table:`, error);
+      throw isSchemaVersionError(error) ? error : new Error(`Failed to save ${name} data`);
+    }
+  };
+
+  return {
+    driver: 'sqlite',
+
+    entries(name) {
+      return table(name).all.all().map(row => [row.key, JSON.parse(row.value)]);
+    },
+
+    get(name, definition, key) {
+      const row = table(name).get.get(String(key));
+      return row ? JSON.parse(row.value) : undefined;
+    },
+
+    setMany(name, definition, entries) {
+      wrapWrite(name, () => setMany(name, entries));
+    },
+
+    update(name, definition, key, fn) {
+      // An error from `fn` leaves the row as it was and reaches the caller as is
+      let failure = null;
+      const result = wrapWrite(name, () => update.immediate(name, key, current => {
+        try {
+          return fn(current);
+        } catch (error) {
+          failure = error;
+          return undefined;
+        }
+      }));
+      if (failure) {
+        throw failure;
+      }
+      return result;
+    },
+
+    insert(name, definition, key, value, conflicts) {
+      return wrapWrite(name, () => insert.immediate(name, key, value, conflicts));
+    },
+
+    deleteMany(name, definition, keys) {
+      return wrapWrite(name, () => deleteMany(name, keys));
+    },
+
+    replace(name, definition, entries) {
+      wrapWrite(name, () => replace(name, entries));
+    },
+
+    count(name) {
+      return table(name).count.get().count;
+    },
+
+    schemaVersion(name) {
+      return storedVersion(name);
+    },
+
+    upgrade(name) {
+      table(name);
+    },
+
+    // Reads inside one transaction see a single point in time
+    withSnapshotLock(definitions, fn) {
+      return db.transaction(fn)();
+    },
+
+    close() {
+      db.close();
+    }
+  };
+};
+
+module.exports = {
+  createSqliteAdapter
+};
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mkdtempSync, writeFileSync, readFileSync, rmSync } = require('fs');
+const { join } = require('path');
+const os = require('os');
+
+const dir = mkdtempSync(join(os.tmpdir(), 'audit-log-'));
+process.env.AUDIT_LOG_FILE = join(dir, 'audit-log.jsonl');
+
+const { queryAuditLog, redactAuditEventsForUser } = require('../auth/auditLog.js');
+
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+const entry = (id, userId, email) => JSON.stringify({
+  id,
+  timestamp: new Date().toISOString(),
+  event: 'auth.login.success',
+  outcome: 'success',
+  userId,
+  actorId: userId,
+  email,
+  ip: '192.0.2.1',
+  userAgent: 'test',
+  metadata: {}
+});
+
+test('a corrupt line is skipped without hiding the rest of the log, and survives erasure', () => {
+  const corrupt = '{"id":"3","event":"auth.lo';
+  writeFileSync(process.env.AUDIT_LOG_FILE, [
+    entry('1', 'u1', 'one@example.com'),
+    entry('2', 'u2', 'two@example.com'),
+    corrupt,
+    entry('4', 'u1', 'one@example.com')
+  ].join('\n') + '\n');
+
+  assert.deepStrictEqual(queryAuditLog().map(e => e.id), ['4', '2', '1']);
+
+  redactAuditEventsForUser('u1');
+
+  const entries = queryAuditLog();
+  assert.deepStrictEqual(entries.map(e => e.id), ['4', '2', '1']);
+  assert.deepStrictEqual(entries.map(e => e.userId), ['erased', 'u2', 'erased']);
+  assert.strictEqual(entries.find(e => e.id === '2').email, 'two@example.com');
+  assert.ok(readFileSync(process.env.AUDIT_LOG_FILE, 'utf8').includes(corrupt));
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mkdtempSync, writeFileSync, rmSync } = require('fs');
+const { join } = require('path');
+const os = require('os');
+
+const dir = mkdtempSync(join(os.tmpdir(), 'signing-keys-'));
+process.env.JWT_SIGNING_KEYS_FILE = join(dir, 'signing-keys.json');
+process.env.JWT_ALGORITHM = 'ES256';
+
+const { signJwt, verifyJwt, getJwks } = require('../auth/signingKeys.js');
+
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('the first token signed against an empty key file verifies', () => {
+  writeFileSync(process.env.JWT_SIGNING_KEYS_FILE, '[]');
+
+  const token = signJwt({ userId: 'u1', type: 'access' }, { expiresIn: '5m' });
+
+  assert.strictEqual(verifyJwt(token).userId, 'u1');
+  assert.strictEqual(getJwks().keys.length, 1);
+});